@@ -0,0 +1,55 @@
+const { createAuditLogEmbed } = require('./utils');
+const { EVENT_TYPES, onVerificationEvent } = require('./events');
+const { getGuildConfig } = require('./guild-config');
+const { debugLog } = require('./debug');
+const { logger } = require('./logger');
+
+/**
+ * Read the audit log settings of a guild
+ * @param {Object} guildConfig - Guild config
+ * @returns {Object} - { channelId, hideLogin }
+ */
+function getAuditLogConfig(guildConfig) {
+  return {
+    channelId: guildConfig.auditLogChannelId || null,
+    // Keep 42 logins out of the channel when moderators should only see Discord accounts
+    hideLogin: !!guildConfig.auditLogHideLogin
+  };
+}
+
+/**
+ * Post every verification event to the audit log channel of its guild
+ * @param {Object} context - Shared bot services
+ */
+function registerAuditLog(context) {
+  debugLog('Audit Log Enabled');
+
+  onVerificationEvent(async (event) => {
+    if (!event.guildId) return;
+
+    const guildConfig = await getGuildConfig(context, event.guildId);
+    const config = getAuditLogConfig(guildConfig);
+    if (!config.channelId) return;
+
+    const channel = await context.client.channels.fetch(config.channelId).catch(() => null);
+    if (!channel?.isTextBased()) {
+      logger.warn('Audit log channel not found', { guildId: event.guildId, channelId: config.channelId, type: event.type });
+      return;
+    }
+
+    // Events needing a decision ping the moderators
+    const mention = event.type === EVENT_TYPES.REJOIN_REFUSED && guildConfig.modRoleId
+      ? `<@&${guildConfig.modRoleId}>`
+      : undefined;
+    await channel.send({
+      content: mention,
+      embeds: [createAuditLogEmbed(event, { hideLogin: config.hideLogin })],
+      allowedMentions: { roles: mention ? [guildConfig.modRoleId] : [] }
+    });
+  });
+}
+
+module.exports = {
+  getAuditLogConfig,
+  registerAuditLog
+};
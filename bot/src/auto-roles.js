@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const { debugLog } = require('./debug');
+const { logger } = require('./logger');
+
+/**
+ * Default auto-role mapping: no extra roles
+ *
+ * - campus: campus name or ID → role
+ * - cursus: cursus name or ID → role, only for cursus the member is still enrolled in
+ * - poolYear: pool year → role
+ * - poolYearTemplate: role name built from the pool, e.g. "Piscine {month} {year}", used when poolYear has no entry
+ * - createMissingRoles: create roles referenced by name that do not exist yet
+ *
+ * A role is referenced by ID or by exact name.
+ */
+const DEFAULT_ROLE_MAPPING = {
+  createMissingRoles: false,
+  campus: {},
+  cursus: {},
+  poolYear: {},
+  poolYearTemplate: null
+};
+
+// Discord snowflakes are 17 to 20 digits, anything else is a role name
+const ROLE_ID_PATTERN = /^\d{17,20}$/;
+
+/**
+ * Build a role mapping from overrides on top of the defaults
+ * @param {Object} overrides - Mapping keys to change
+ * @returns {Object} - Role mapping
+ * @throws {Error} - If the resulting mapping is invalid
+ */
+function buildRoleMapping(overrides) {
+  const mapping = { ...DEFAULT_ROLE_MAPPING, ...overrides };
+
+  for (const key of Object.keys(mapping)) {
+    if (!(key in DEFAULT_ROLE_MAPPING)) {
+      throw new Error(`Unknown role mapping key: ${key}`);
+    }
+  }
+  for (const key of ['campus', 'cursus', 'poolYear']) {
+    const entries = mapping[key];
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      throw new Error(`Role mapping "${key}" must be an object`);
+    }
+    for (const [name, role] of Object.entries(entries)) {
+      if (typeof role !== 'string' || !role) {
+        throw new Error(`Role mapping "${key}.${name}" must be a role ID or name`);
+      }
+    }
+  }
+  if (typeof mapping.createMissingRoles !== 'boolean') {
+    throw new Error('Role mapping "createMissingRoles" must be true or false');
+  }
+  if (mapping.poolYearTemplate !== null && typeof mapping.poolYearTemplate !== 'string') {
+    throw new Error('Role mapping "poolYearTemplate" must be a string or null');
+  }
+  return mapping;
+}
+
+/**
+ * Load the auto-role mapping from a JSON file, on top of the defaults
+ * It is the default mapping of the guild from DISCORD_GUILD_ID, other guilds start without auto-roles.
+ * @param {string} filename - Path to the mapping file (default: ROLES_CONFIG_PATH or ./config/roles.json)
+ * @returns {Object} - Role mapping
+ */
+function loadRoleMapping(filename = process.env.ROLES_CONFIG_PATH || './config/roles.json') {
+  const resolved = path.resolve(filename);
+
+  if (!fs.existsSync(resolved)) {
+    debugLog('Role Mapping File Not Found, Using Defaults', { filename: resolved });
+    return { ...DEFAULT_ROLE_MAPPING };
+  }
+
+  const mapping = buildRoleMapping(JSON.parse(fs.readFileSync(resolved, 'utf8')));
+
+  debugLog('Role Mapping Loaded', { filename: resolved, mapping });
+  return mapping;
+}
+
+/**
+ * Find the mapping entry for a campus or cursus, by ID first, then by case-insensitive name
+ * @param {Object} entries - Mapping entries
+ * @param {Object} item - Campus or cursus with id and name
+ * @returns {string|null} - Role reference or null
+ */
+function findEntry(entries, item) {
+  if (item.id !== undefined && entries[String(item.id)]) {
+    return entries[String(item.id)];
+  }
+  const key = Object.keys(entries).find(name => name.toLowerCase() === String(item.name).toLowerCase());
+  return key ? entries[key] : null;
+}
+
+/**
+ * Compute the role references a verified member should hold
+ * @param {Object} mapping - Role mapping
+ * @param {Object} profile - Verified member profile (campus, cursus, poolYear, poolMonth)
+ * @returns {Array<string>} - Role IDs or names
+ */
+function getWantedRoles(mapping, profile) {
+  const now = Date.now();
+  const wanted = new Set();
+
+  for (const campus of profile.campus || []) {
+    const role = findEntry(mapping.campus, campus);
+    if (role) wanted.add(role);
+  }
+
+  for (const cursus of profile.cursus || []) {
+    // Finished cursus (e.g. a past Piscine) do not give a role anymore
+    if (cursus.endAt && Date.parse(cursus.endAt) < now) continue;
+    const role = findEntry(mapping.cursus, cursus);
+    if (role) wanted.add(role);
+  }
+
+  if (profile.poolYear) {
+    const template = mapping.poolYearTemplate;
+    const role = mapping.poolYear[String(profile.poolYear)] || (template
+      ? template.replace('{year}', profile.poolYear).replace('{month}', profile.poolMonth || '').replace(/\s+/g, ' ').trim()
+      : null);
+    if (role) wanted.add(role);
+  }
+
+  return [...wanted];
+}
+
+/**
+ * Resolve a role reference in a guild, creating it when allowed
+ * @param {Guild} guild - Discord guild
+ * @param {string} reference - Role ID or name
+ * @param {boolean} createMissing - Create the role if it is referenced by name and missing
+ * @returns {Promise<Role|null>} - Role or null
+ */
+async function resolveRole(guild, reference, createMissing) {
+  if (ROLE_ID_PATTERN.test(reference)) {
+    return guild.roles.cache.get(reference) || null;
+  }
+
+  const role = guild.roles.cache.find(candidate => candidate.name === reference);
+  if (role || !createMissing) {
+    return role || null;
+  }
+
+  debugLog('Creating Auto Role', { guildId: guild.id, name: reference });
+  logger.info('Creating missing auto-role', { role: reference });
+  return guild.roles.create({ name: reference, reason: 'Queernel auto-role mapping' });
+}
+
+/**
+ * Reconcile a member's auto-roles with their 42 profile
+ * Only roles the bot assigned earlier (previousRoleIds) are ever removed.
+ * @param {GuildMember} member - Discord guild member
+ * @param {Object} profile - Verified member profile
+ * @param {Object} mapping - Role mapping
+ * @param {Array<string>} previousRoleIds - Role IDs assigned by a previous reconciliation
+ * @returns {Promise<Array<string>>} - Role IDs now managed for the member
+ */
+async function reconcileAutoRoles(member, profile, mapping, previousRoleIds = []) {
+  const wantedRoleIds = [];
+
+  for (const reference of getWantedRoles(mapping, profile)) {
+    try {
+      const role = await resolveRole(member.guild, reference, mapping.createMissingRoles);
+      if (role) {
+        wantedRoleIds.push(role.id);
+      } else {
+        debugLog('Auto Role Not Found', { reference, guildId: member.guild.id });
+      }
+    } catch (error) {
+      logger.error('Could not resolve auto-role', { role: reference, error });
+    }
+  }
+
+  const toAdd = wantedRoleIds.filter(roleId => !member.roles.cache.has(roleId));
+  const toRemove = previousRoleIds.filter(roleId => !wantedRoleIds.includes(roleId) && member.roles.cache.has(roleId));
+
+  debugLog('Reconciling Auto Roles', { 
+    userId: member.user.id, 
+    wantedRoleIds, 
+    toAdd, 
+    toRemove 
+  });
+
+  try {
+    if (toAdd.length > 0) {
+      await member.roles.add(toAdd, 'Queernel auto-role mapping');
+    }
+    if (toRemove.length > 0) {
+      await member.roles.remove(toRemove, 'Queernel auto-role mapping');
+    }
+  } catch (error) {
+    logger.error('Could not update auto-roles', { discordUserId: member.user.id, error });
+  }
+
+  return wantedRoleIds;
+}
+
+/**
+ * Remove every auto-role the bot assigned to a member
+ * @param {GuildMember} member - Discord guild member
+ * @param {Array<string>} roleIds - Role IDs assigned by reconciliation
+ * @returns {Promise<void>}
+ */
+async function removeAutoRoles(member, roleIds = []) {
+  const held = roleIds.filter(roleId => member.roles.cache.has(roleId));
+  if (held.length === 0) {
+    return;
+  }
+
+  try {
+    await member.roles.remove(held, 'Queernel verification removed');
+    debugLog('Auto Roles Removed', { userId: member.user.id, roleIds: held });
+  } catch (error) {
+    logger.error('Could not remove auto-roles', { discordUserId: member.user.id, error });
+  }
+}
+
+module.exports = {
+  DEFAULT_ROLE_MAPPING,
+  buildRoleMapping,
+  loadRoleMapping,
+  getWantedRoles,
+  reconcileAutoRoles,
+  removeAutoRoles
+};
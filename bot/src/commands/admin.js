@@ -0,0 +1,385 @@
+const { SlashCommandBuilder, PermissionFlagsBits, ChannelType, AttachmentBuilder } = require('discord.js');
+const axios = require('axios');
+const { createGuildConfigEmbed, createWebhookDeadLettersEmbed } = require('../utils');
+const { getGuildConfig, setGuildSetting } = require('../guild-config');
+const { getRoleAssignmentStatus } = require('../health');
+const { buildPolicy } = require('../policy');
+const { buildRules } = require('../rules');
+const { buildRoleMapping } = require('../auto-roles');
+const { getLanguages } = require('../i18n');
+const { getWebhookConfig, redeliverDeadLetter } = require('../webhooks');
+const { debugLog } = require('../debug');
+const { logger } = require('../logger');
+
+// Uploaded rules and policy files are small JSON documents
+const MAX_CONFIG_FILE_SIZE = 100 * 1024;
+
+// Subcommands changing one setting, with the guild config key they change
+const SETTINGS = {
+  role: { key: 'roleId', label: 'Verified role' },
+  'mod-role': { key: 'modRoleId', label: 'Moderator role' },
+  'audit-channel': { key: 'auditLogChannelId', label: 'Audit log channel' },
+  'audit-hide-login': { key: 'auditLogHideLogin', label: 'Hiding 42 logins in the audit log' },
+  'report-channel': { key: 'reportChannelId', label: 'Report channel' },
+  'unverified-action': { key: 'unverifiedAction', label: 'Unverified member action' },
+  'unverified-role': { key: 'unverifiedRoleId', label: 'Unverified role' },
+  language: { key: 'locale', label: 'Language' },
+  rules: { key: 'rules', label: 'Rules' },
+  policy: { key: 'policy', label: 'Eligibility policy' },
+  roles: { key: 'roleMapping', label: 'Auto-role mapping' }
+};
+
+// Settings uploaded as JSON files, with the function checking them
+const FILE_SETTINGS = {
+  rules: buildRules,
+  policy: buildPolicy,
+  roles: buildRoleMapping
+};
+
+/**
+ * Record a change of the guild settings
+ * @param {Object} store - Verification store
+ * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+ * @param {Object} details - { setting, value?, reset?, success, error? }
+ * @returns {Promise<Object>} - Recorded action
+ */
+async function recordConfigAction(store, interaction, details) {
+  logger.info('Guild settings changed', { guildId: interaction.guildId, moderatorId: interaction.user.id, ...details });
+  return store.recordModAction({
+    guildId: interaction.guildId,
+    timestamp: Date.now(),
+    moderatorId: interaction.user.id,
+    moderatorUsername: interaction.user.tag,
+    action: 'config',
+    ...details
+  });
+}
+
+/**
+ * Check that the bot can give a role to members
+ * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+ * @param {Role} role - Role to check
+ * @returns {string|null} - Problem to report, or null if the role can be used
+ */
+function checkRole(interaction, role) {
+  if (role.id === interaction.guildId || role.managed) {
+    return `${role} is managed by Discord or an integration and cannot be given to members.`;
+  }
+  const status = getRoleAssignmentStatus(interaction.guild, role.id);
+  return status.ok ? null : `I cannot give ${role}: ${status.error}`;
+}
+
+/**
+ * Check that the bot can post embeds in a channel
+ * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+ * @param {GuildChannel} channel - Channel to check
+ * @returns {string|null} - Problem to report, or null if the channel can be used
+ */
+function checkChannel(interaction, channel) {
+  const permissions = channel.permissionsFor(interaction.guild.members.me);
+  if (!permissions?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+    return `I need the View Channel, Send Messages and Embed Links permissions in ${channel}.`;
+  }
+  return null;
+}
+
+/**
+ * Download and validate an uploaded rules or policy file
+ * @param {Attachment} attachment - Uploaded file
+ * @param {Function} build - buildRules, buildPolicy or buildRoleMapping, throwing on invalid content
+ * @returns {Promise<Object>} - Parsed overrides
+ * @throws {Error} - If the file is too large, not JSON or invalid
+ */
+async function readConfigFile(attachment, build) {
+  if (attachment.size > MAX_CONFIG_FILE_SIZE) {
+    throw new Error(`The file is larger than ${MAX_CONFIG_FILE_SIZE / 1024} KB`);
+  }
+
+  const response = await axios.get(attachment.url, {
+    responseType: 'text',
+    maxContentLength: MAX_CONFIG_FILE_SIZE,
+    timeout: 10 * 1000
+  });
+
+  let overrides;
+  try {
+    overrides = JSON.parse(response.data);
+  } catch (error) {
+    throw new Error(`The file is not valid JSON: ${error.message}`);
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('The file must contain a JSON object');
+  }
+
+  build(overrides);
+  return overrides;
+}
+
+/**
+ * Read the new value of a setting from the subcommand options
+ * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+ * @param {string} subcommand - Setting subcommand
+ * @returns {Promise<Object>} - { value, display } or { error }
+ */
+async function readSettingValue(interaction, subcommand) {
+  switch (subcommand) {
+    case 'role':
+    case 'mod-role':
+    case 'unverified-role': {
+      const role = interaction.options.getRole('role');
+      // The moderator role is only checked, never given
+      const error = subcommand === 'mod-role' ? null : checkRole(interaction, role);
+      return error ? { error } : { value: role.id, display: `${role}` };
+    }
+    case 'audit-channel':
+    case 'report-channel': {
+      const channel = interaction.options.getChannel('channel');
+      const error = checkChannel(interaction, channel);
+      return error ? { error } : { value: channel.id, display: `${channel}` };
+    }
+    case 'audit-hide-login': {
+      const value = interaction.options.getBoolean('value');
+      return { value, display: value ? '`on`' : '`off`' };
+    }
+    case 'unverified-action':
+    case 'language': {
+      const value = interaction.options.getString('value');
+      return { value, display: `\`${value}\`` };
+    }
+    case 'rules':
+    case 'policy':
+    case 'roles': {
+      const build = FILE_SETTINGS[subcommand];
+      try {
+        const value = await readConfigFile(interaction.options.getAttachment('file'), build);
+        return { value, display: subcommand === 'rules' ? `version ${build(value).version}` : 'the uploaded file' };
+      } catch (error) {
+        return { error: `The ${SETTINGS[subcommand].label.toLowerCase()} file was not accepted: ${error.message}` };
+      }
+    }
+    default:
+      return { error: `Unknown setting: ${subcommand}` };
+  }
+}
+
+/**
+ * Show the guild settings, with the rules and policy as files to edit and upload back
+ */
+async function show(interaction, context) {
+  const overrides = await context.store.getGuildConfig(interaction.guildId);
+  const config = await getGuildConfig(context, interaction.guildId);
+
+  await interaction.editReply({
+    embeds: [createGuildConfigEmbed(config, overrides)],
+    files: [
+      new AttachmentBuilder(Buffer.from(JSON.stringify(config.rules, null, 2)), { name: 'rules.json' }),
+      new AttachmentBuilder(Buffer.from(JSON.stringify(config.policy, null, 2)), { name: 'policy.json' }),
+      new AttachmentBuilder(Buffer.from(JSON.stringify(config.roleMapping, null, 2)), { name: 'roles.json' })
+    ]
+  });
+}
+
+/**
+ * Go back to the default value of a setting
+ */
+async function reset(interaction, { store }) {
+  const setting = interaction.options.getString('setting');
+
+  await setGuildSetting(store, interaction.guildId, SETTINGS[setting].key, null, interaction.user.id);
+  await recordConfigAction(store, interaction, { setting, reset: true, success: true });
+
+  await interaction.editReply(`${SETTINGS[setting].label} is back to its default.`);
+}
+
+/**
+ * Change one setting
+ */
+async function set(interaction, { store }) {
+  const subcommand = interaction.options.getSubcommand();
+  const { value, display, error } = await readSettingValue(interaction, subcommand);
+
+  if (error) {
+    await recordConfigAction(store, interaction, { setting: subcommand, success: false, error });
+    return interaction.editReply(error);
+  }
+
+  await setGuildSetting(store, interaction.guildId, SETTINGS[subcommand].key, value, interaction.user.id);
+  // Rules and policy files are kept in the settings, the trace only needs to say they changed
+  await recordConfigAction(store, interaction, {
+    setting: subcommand,
+    value: typeof value === 'object' ? undefined : value,
+    success: true
+  });
+
+  await interaction.editReply(`${SETTINGS[subcommand].label} set to ${display}.`);
+}
+
+/**
+ * List the webhook deliveries of this server's events that failed every attempt
+ */
+async function failedWebhooks(interaction, { store }) {
+  const deadLetters = await store.listWebhookDeadLetters({ guildId: interaction.guildId, limit: 25 });
+  await interaction.editReply({ embeds: [createWebhookDeadLettersEmbed(deadLetters)] });
+}
+
+/**
+ * Send a failed webhook delivery again
+ */
+async function retryWebhook(interaction, context) {
+  const id = interaction.options.getInteger('id');
+  const deadLetter = await context.store.getWebhookDeadLetter(id);
+
+  // Dead letters of other servers are not visible from here
+  if (!deadLetter || deadLetter.guildId !== interaction.guildId) {
+    return interaction.editReply(`There is no failed webhook #${id} for this server. Use \`/admin webhooks failed\` to list them.`);
+  }
+  if (!getWebhookConfig().secret) {
+    return interaction.editReply('Webhooks are disabled: `WEBHOOK_SECRET` is not set.');
+  }
+
+  const { success, error } = await redeliverDeadLetter(context, deadLetter);
+  await context.store.recordModAction({
+    guildId: interaction.guildId,
+    timestamp: Date.now(),
+    moderatorId: interaction.user.id,
+    moderatorUsername: interaction.user.tag,
+    action: 'webhook-retry',
+    deadLetterId: id,
+    success,
+    error
+  });
+
+  await interaction.editReply(success
+    ? `Webhook #${id} (\`${deadLetter.payload.type}\`) was delivered.`
+    : `Webhook #${id} failed again: ${error}. It stays in the failed list.`);
+}
+
+module.exports = {
+  // Administrators need it to set up a new server
+  allowUnconfigured: true,
+
+  data: new SlashCommandBuilder()
+    .setName('admin')
+    .setDescription('Server settings for 42 verification')
+    .setDMPermission(false)
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .addSubcommandGroup(group => group
+      .setName('config')
+      .setDescription('Show or change the verification settings of this server')
+      .addSubcommand(subcommand => subcommand
+        .setName('show')
+        .setDescription('Show the settings, with the rules, policy and auto-roles files'))
+      .addSubcommand(subcommand => subcommand
+        .setName('role')
+        .setDescription('Set the role given to verified members')
+        .addRoleOption(option => option.setName('role').setDescription('Verified role').setRequired(true)))
+      .addSubcommand(subcommand => subcommand
+        .setName('mod-role')
+        .setDescription('Set the role allowed to use /mod')
+        .addRoleOption(option => option.setName('role').setDescription('Moderator role').setRequired(true)))
+      .addSubcommand(subcommand => subcommand
+        .setName('audit-channel')
+        .setDescription('Set the channel receiving verification events')
+        .addChannelOption(option => option
+          .setName('channel')
+          .setDescription('Audit log channel')
+          .addChannelTypes(ChannelType.GuildText)
+          .setRequired(true)))
+      .addSubcommand(subcommand => subcommand
+        .setName('audit-hide-login')
+        .setDescription('Leave 42 logins out of the audit log channel')
+        .addBooleanOption(option => option.setName('value').setDescription('Hide 42 logins').setRequired(true)))
+      .addSubcommand(subcommand => subcommand
+        .setName('report-channel')
+        .setDescription('Set the channel receiving re-validation reports')
+        .addChannelOption(option => option
+          .setName('channel')
+          .setDescription('Report channel')
+          .addChannelTypes(ChannelType.GuildText)
+          .setRequired(true)))
+      .addSubcommand(subcommand => subcommand
+        .setName('unverified-action')
+        .setDescription('Set what happens to members who do not verify in time')
+        .addStringOption(option => option
+          .setName('value')
+          .setDescription('Action after the grace period')
+          .setRequired(true)
+          .addChoices(
+            { name: 'Kick', value: 'kick' },
+            { name: 'Give the unverified role', value: 'role' },
+            { name: 'Nothing, only reminders', value: 'none' }
+          )))
+      .addSubcommand(subcommand => subcommand
+        .setName('unverified-role')
+        .setDescription('Set the role given to members who do not verify in time')
+        .addRoleOption(option => option.setName('role').setDescription('Unverified role').setRequired(true)))
+      .addSubcommand(subcommand => subcommand
+        .setName('language')
+        .setDescription('Set the language for members whose language is unknown')
+        .addStringOption(option => option
+          .setName('value')
+          .setDescription('Language')
+          .setRequired(true)
+          .addChoices(...getLanguages().map(({ code, name }) => ({ name, value: code })))))
+      .addSubcommand(subcommand => subcommand
+        .setName('rules')
+        .setDescription('Upload the rules members accept (JSON, see /admin config show)')
+        .addAttachmentOption(option => option.setName('file').setDescription('rules.json').setRequired(true)))
+      .addSubcommand(subcommand => subcommand
+        .setName('policy')
+        .setDescription('Upload the eligibility policy (JSON, see /admin config show)')
+        .addAttachmentOption(option => option.setName('file').setDescription('policy.json').setRequired(true)))
+      .addSubcommand(subcommand => subcommand
+        .setName('roles')
+        .setDescription('Upload the campus, cursus and cohort auto-roles (JSON, see /admin config show)')
+        .addAttachmentOption(option => option.setName('file').setDescription('roles.json').setRequired(true)))
+      .addSubcommand(subcommand => subcommand
+        .setName('reset')
+        .setDescription('Go back to the default value of a setting')
+        .addStringOption(option => option
+          .setName('setting')
+          .setDescription('Setting to reset')
+          .setRequired(true)
+          .addChoices(...Object.entries(SETTINGS).map(([name, { label }]) => ({ name: label, value: name }))))))
+    .addSubcommandGroup(group => group
+      .setName('webhooks')
+      .setDescription('Follow the webhooks sent to other tools')
+      .addSubcommand(subcommand => subcommand
+        .setName('failed')
+        .setDescription('List webhook deliveries that failed every attempt'))
+      .addSubcommand(subcommand => subcommand
+        .setName('retry')
+        .setDescription('Send a failed webhook delivery again')
+        .addIntegerOption(option => option
+          .setName('id')
+          .setDescription('Number shown by /admin webhooks failed')
+          .setMinValue(1)
+          .setRequired(true)))),
+
+  /**
+   * Run an administration subcommand, restricted to administrators
+   * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+   * @param {Object} context - Shared bot services
+   */
+  async execute(interaction, context) {
+    // Default permissions can be overridden per server, so check again
+    if (!interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+      debugLog('Admin Command Denied', { userId: interaction.user.id });
+      return interaction.reply({ content: 'You need the Administrator permission to use this command.', ephemeral: true });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const subcommand = interaction.options.getSubcommand();
+    if (interaction.options.getSubcommandGroup() === 'webhooks') {
+      return subcommand === 'failed' ? failedWebhooks(interaction, context) : retryWebhook(interaction, context);
+    }
+    if (subcommand === 'show') {
+      return show(interaction, context);
+    }
+    if (subcommand === 'reset') {
+      return reset(interaction, context);
+    }
+    return set(interaction, context);
+  }
+};
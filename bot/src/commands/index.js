@@ -0,0 +1,114 @@
+const { REST, Routes } = require('discord.js');
+const { isGuildConfigured } = require('../guild-config');
+const { debugLog, debugDiscordEvent } = require('../debug');
+const { logger } = require('../logger');
+
+const commands = [
+  require('./verify'),
+  require('./status'),
+  require('./unlink'),
+  require('./mod'),
+  require('./setup-verify-panel'),
+  require('./admin'),
+  require('./privacy')
+];
+
+// Look up commands by name when an interaction comes in
+const commandsByName = new Map(commands.map(command => [command.data.name, command]));
+
+// Reply to commands and buttons used in a guild that is not set up yet
+const UNCONFIGURED_REPLY = {
+  content: 'This server is not set up for 42 verification yet. An administrator can set the verified role with `/admin config role`.',
+  ephemeral: true
+};
+
+/**
+ * Register the slash commands on each guild and clear any stale global commands
+ * @param {Array<string>} guildIds - Discord guild IDs
+ * @param {Object} options - Registration options
+ * @param {boolean} options.clearGlobal - Also remove globally registered commands (default: true)
+ */
+async function registerCommands(guildIds, { clearGlobal = true } = {}) {
+  const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
+  const body = commands.map(command => command.data.toJSON());
+
+  debugLog('Starting command registration', { commandNames: body.map(command => command.name), guildIds });
+  logger.info('Registering application commands', { count: body.length, guildCount: guildIds.length });
+
+  // One failing guild (e.g. missing applications.commands scope) must not keep the others without commands
+  for (const guildId of guildIds) {
+    try {
+      await rest.put(
+        Routes.applicationGuildCommands(process.env.DISCORD_CLIENT_ID, guildId),
+        { body }
+      );
+      debugLog('Command registration successful', { guildId });
+    } catch (error) {
+      debugLog('Command registration failed', { guildId, error: error.message });
+      logger.error('Error registering commands', { guildId, error });
+    }
+  }
+
+  if (!clearGlobal) {
+    return;
+  }
+
+  try {
+    // Commands are guild-scoped, so remove any that were registered globally
+    await rest.put(
+      Routes.applicationCommands(process.env.DISCORD_CLIENT_ID),
+      { body: [] }
+    );
+    logger.info('Registered guild application commands');
+  } catch (error) {
+    debugLog('Global command cleanup failed', { error: error.message });
+    logger.error('Error clearing global commands', { error });
+  }
+}
+
+/**
+ * Dispatch a slash command interaction to its handler
+ * Only commands marked allowUnconfigured run in a guild that is not set up yet.
+ * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+ * @param {Object} context - Shared bot services passed to every command, with the guildConfig
+ */
+async function handleCommand(interaction, context) {
+  const command = commandsByName.get(interaction.commandName);
+  if (!command) {
+    debugLog('Unknown Command', { commandName: interaction.commandName });
+    return;
+  }
+
+  debugDiscordEvent('Command', {
+    commandName: interaction.commandName,
+    userId: interaction.user.id,
+    username: interaction.user.tag,
+    guildId: interaction.guildId
+  });
+
+  try {
+    if (!command.allowUnconfigured && !isGuildConfigured(context.guildConfig)) {
+      debugLog('Command In Unconfigured Guild', { commandName: interaction.commandName, guildId: interaction.guildId });
+      return await interaction.reply(UNCONFIGURED_REPLY);
+    }
+
+    await command.execute(interaction, context);
+  } catch (error) {
+    debugLog('Command Failed', { commandName: interaction.commandName, error: error.message });
+    logger.error('Error executing command', { command: interaction.commandName, error });
+
+    const reply = { content: 'Something went wrong while running this command.', ephemeral: true };
+    if (interaction.replied || interaction.deferred) {
+      await interaction.followUp(reply).catch(() => {});
+    } else {
+      await interaction.reply(reply).catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  UNCONFIGURED_REPLY,
+  commands,
+  registerCommands,
+  handleCommand
+};
@@ -0,0 +1,237 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const {
+  createLookupEmbed,
+  createRevalidationReportEmbed,
+  createPendingMembersEmbed,
+  createErasureRequestsEmbed
+} = require('../utils');
+const { runRevalidation } = require('../revalidation');
+const { getReminderConfig } = require('../reminders');
+const { forceVerifyMember, revokeMember } = require('../moderation');
+const { LOGIN_ALREADY_LINKED } = require('../store');
+const { debugLog } = require('../debug');
+const { logger } = require('../logger');
+
+/**
+ * Check if a member may use moderator commands
+ * Members holding the guild's moderator role are allowed, administrators always are.
+ * @param {GuildMember} member - Discord guild member
+ * @param {Object} guildConfig - Guild config
+ * @returns {boolean} - True if the member is a moderator
+ */
+function isModerator(member, guildConfig) {
+  const modRoleId = guildConfig.modRoleId;
+  return (modRoleId && member.roles.cache.has(modRoleId)) ||
+    member.permissions.has(PermissionFlagsBits.Administrator);
+}
+
+/**
+ * Record a use of a moderator command
+ * @param {Object} store - Verification store
+ * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+ * @param {Object} details - Action details
+ * @returns {Promise<Object>} - Recorded action
+ */
+async function recordAction(store, interaction, details) {
+  const action = {
+    guildId: interaction.guildId,
+    timestamp: Date.now(),
+    moderatorId: interaction.user.id,
+    moderatorUsername: interaction.user.tag,
+    action: interaction.options.getSubcommand(),
+    ...details
+  };
+  debugLog('Moderator Action', action);
+  logger.info('Moderator command used', {
+    moderatorId: interaction.user.id,
+    action: action.action,
+    targetUserId: action.targetUserId,
+    success: action.success
+  });
+  return store.recordModAction(action);
+}
+
+/**
+ * Force-verify a member with a given 42 login
+ */
+async function verify(interaction, context) {
+  const { store } = context;
+  const user = interaction.options.getUser('user');
+  const member = interaction.options.getMember('user');
+  const login = interaction.options.getString('login').trim().toLowerCase();
+
+  if (!member) {
+    await recordAction(store, interaction, { targetUserId: user.id, login, success: false, error: 'Not a member' });
+    return interaction.editReply(`${user} is not a member of this server.`);
+  }
+
+  const { success, error, existingLink, fortyTwoError } = await forceVerifyMember(context, member, login, interaction.user.id);
+  await recordAction(store, interaction, { targetUserId: user.id, login, success, error, fortyTwoError });
+
+  if (error === LOGIN_ALREADY_LINKED) {
+    return interaction.editReply(`42 account **${login}** is already linked to <@${existingLink.discordUserId}>. Revoke that link first.`);
+  }
+  if (error) {
+    return interaction.editReply(`I could not assign the "42" role to ${user}. Check the role hierarchy.`);
+  }
+
+  await interaction.editReply(
+    `${user} has been verified as **${login}** and given the "42" role.` +
+    (fortyTwoError ? `\n⚠️ 42 API lookup failed, only the login was recorded: ${fortyTwoError}` : '')
+  );
+}
+
+/**
+ * Remove a member's 42 link and role
+ */
+async function revoke(interaction, context) {
+  const { store } = context;
+  const user = interaction.options.getUser('user');
+  const member = interaction.options.getMember('user');
+  const reason = interaction.options.getString('reason');
+
+  const { success, error, verifiedMember } = await revokeMember(context, interaction.guildId, user.id, member, {
+    moderatorId: interaction.user.id,
+    reason
+  });
+  await recordAction(store, interaction, { targetUserId: user.id, login: verifiedMember?.login, reason, success, error });
+
+  if (error === 'Not verified') {
+    return interaction.editReply(`${user} is not verified.`);
+  }
+  if (error) {
+    return interaction.editReply(`I could not remove the "42" role from ${user}. Check the role hierarchy.`);
+  }
+
+  await interaction.editReply(`Verification of ${user}${verifiedMember ? ` (**${verifiedMember.login}**)` : ''} has been revoked.`);
+}
+
+/**
+ * Look up a verification by Discord user or by 42 login
+ */
+async function lookup(interaction, { store, fortyTwoAPI }) {
+  const user = interaction.options.getUser('user');
+  const requestedLogin = interaction.options.getString('login')?.trim().toLowerCase();
+
+  if (!user === !requestedLogin) {
+    return interaction.editReply('Give either a Discord user or a 42 login.');
+  }
+
+  const verifiedMember = user
+    ? await store.getVerifiedMember(interaction.guildId, user.id)
+    : await store.getVerifiedMemberByLogin(interaction.guildId, requestedLogin);
+  const discordUserId = user?.id || verifiedMember?.discordUserId || null;
+  const login = requestedLogin || verifiedMember?.login || null;
+
+  let fortyTwoUser = null;
+  let fortyTwoError = null;
+  if (login) {
+    try {
+      fortyTwoUser = await fortyTwoAPI.getUserByLogin(login);
+    } catch (error) {
+      fortyTwoError = error.message;
+    }
+  }
+
+  const modActions = discordUserId
+    ? await store.listModActions({ guildId: interaction.guildId, targetUserId: discordUserId, limit: 5 })
+    : [];
+  await recordAction(store, interaction, { targetUserId: discordUserId, login, success: true });
+
+  await interaction.editReply({
+    embeds: [createLookupEmbed({ discordUserId, login, verifiedMember, fortyTwoUser, fortyTwoError, modActions })]
+  });
+}
+
+/**
+ * Run the re-validation job on this server now and show its report
+ */
+async function revalidate(interaction, context) {
+  const dryRun = interaction.options.getBoolean('dry_run') ?? true;
+
+  let report;
+  try {
+    report = await runRevalidation(context, context.guildConfig, { dryRun });
+  } catch (error) {
+    await recordAction(context.store, interaction, { dryRun, success: false, error: error.message });
+    return interaction.editReply(`Re-validation failed: ${error.message}`);
+  }
+
+  await recordAction(context.store, interaction, {
+    dryRun,
+    success: true,
+    checked: report.checked,
+    flagged: report.flagged.length,
+    removed: report.removed.length,
+    failed: report.failed.length
+  });
+  await interaction.editReply({ embeds: [createRevalidationReportEmbed(report)] });
+}
+
+/**
+ * List members who joined and have not verified yet
+ */
+async function pending(interaction, { store, guildConfig }) {
+  const records = await store.listUnverifiedMembers(interaction.guildId);
+  await recordAction(store, interaction, { success: true, count: records.length });
+  await interaction.editReply({ embeds: [createPendingMembersEmbed(records, getReminderConfig(guildConfig))] });
+}
+
+/**
+ * List the members who recently had their data erased with /privacy delete
+ */
+async function erasures(interaction, { store }) {
+  const requests = await store.listErasureRequests({ guildId: interaction.guildId, limit: 25 });
+  await recordAction(store, interaction, { success: true, count: requests.length });
+  await interaction.editReply({ embeds: [createErasureRequestsEmbed(requests)] });
+}
+
+const subcommands = { verify, revoke, lookup, revalidate, pending, erasures };
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('mod')
+    .setDescription('Moderator tools for 42 verification')
+    .setDMPermission(false)
+    .addSubcommand(subcommand => subcommand
+      .setName('verify')
+      .setDescription('Force-verify a member with a 42 login')
+      .addUserOption(option => option.setName('user').setDescription('Member to verify').setRequired(true))
+      .addStringOption(option => option.setName('login').setDescription('42 login').setRequired(true)))
+    .addSubcommand(subcommand => subcommand
+      .setName('revoke')
+      .setDescription('Remove a member\'s 42 link and role')
+      .addUserOption(option => option.setName('user').setDescription('Member to revoke').setRequired(true))
+      .addStringOption(option => option.setName('reason').setDescription('Reason for the revocation')))
+    .addSubcommand(subcommand => subcommand
+      .setName('lookup')
+      .setDescription('Look up a verification by Discord user or 42 login')
+      .addUserOption(option => option.setName('user').setDescription('Discord user'))
+      .addStringOption(option => option.setName('login').setDescription('42 login')))
+    .addSubcommand(subcommand => subcommand
+      .setName('revalidate')
+      .setDescription('Re-check verified members against their 42 status now')
+      .addBooleanOption(option => option.setName('dry_run').setDescription('Only report what would change (default: true)')))
+    .addSubcommand(subcommand => subcommand
+      .setName('pending')
+      .setDescription('List members who joined and have not verified yet'))
+    .addSubcommand(subcommand => subcommand
+      .setName('erasures')
+      .setDescription('List members who recently erased their data with /privacy delete')),
+
+  /**
+   * Run a moderator subcommand, restricted to the moderator role
+   * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+   * @param {Object} context - Shared bot services, with the guildConfig
+   */
+  async execute(interaction, context) {
+    if (!isModerator(interaction.member, context.guildConfig)) {
+      debugLog('Moderator Command Denied', { userId: interaction.user.id, subcommand: interaction.options.getSubcommand() });
+      await recordAction(context.store, interaction, { success: false, error: 'Not a moderator' });
+      return interaction.reply({ content: 'You need the moderator role to use this command.', ephemeral: true });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+    await subcommands[interaction.options.getSubcommand()](interaction, context);
+  }
+};
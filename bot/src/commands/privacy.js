@@ -0,0 +1,109 @@
+const { SlashCommandBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, AttachmentBuilder } = require('discord.js');
+const { createPrivacyExportEmbed } = require('../utils');
+const { exportMemberData, eraseMemberData } = require('../privacy');
+const { resolveLocale, t } = require('../i18n');
+const { debugVerification } = require('../debug');
+const { logger } = require('../logger');
+
+// Custom ID of the confirmation button of /privacy delete
+const PRIVACY_DELETE_BUTTON_ID = 'privacy:delete';
+
+/**
+ * Pick the language of the member running a privacy command
+ * @param {Interaction} interaction - Slash command or button interaction
+ * @param {Object} guildConfig - Guild config
+ * @returns {string} - Locale code
+ */
+function getLocale(interaction, guildConfig) {
+  return resolveLocale(interaction.locale, guildConfig.locale, interaction.guildLocale);
+}
+
+/**
+ * DM the member a JSON file of everything held about them
+ */
+async function exportData(interaction, { store, guildConfig }) {
+  const data = await exportMemberData(store, interaction.user.id);
+  const locale = getLocale(interaction, guildConfig);
+
+  try {
+    await interaction.user.send({
+      embeds: [createPrivacyExportEmbed(locale)],
+      files: [new AttachmentBuilder(Buffer.from(JSON.stringify(data, null, 2)), { name: `queernel-data-${interaction.user.id}.json` })]
+    });
+  } catch (error) {
+    debugVerification('Privacy Export DM Failed', interaction.user.id, { error: error.message });
+    return interaction.editReply(t(locale, 'replies.privacy.exportDmFailed'));
+  }
+
+  debugVerification('Privacy Export Sent', interaction.user.id);
+  logger.info('Member data exported', { discordUserId: interaction.user.id });
+  await interaction.editReply(t(locale, 'replies.privacy.exportSent'));
+}
+
+/**
+ * Ask the member to confirm the erasure, nothing is deleted before the button is clicked
+ */
+async function deleteData(interaction, { guildConfig }) {
+  const locale = getLocale(interaction, guildConfig);
+  await interaction.editReply({
+    content: t(locale, 'replies.privacy.deleteWarning'),
+    components: [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(PRIVACY_DELETE_BUTTON_ID)
+          .setLabel(t(locale, 'replies.privacy.deleteButton'))
+          .setEmoji('🗑️')
+          .setStyle(ButtonStyle.Danger)
+      )
+    ]
+  });
+}
+
+/**
+ * Erase the member's data once they confirmed
+ * @param {ButtonInteraction} interaction - Button interaction
+ * @param {Object} context - Shared bot services, with the guildConfig
+ */
+async function handleDeleteButton(interaction, context) {
+  await interaction.deferUpdate();
+
+  const request = await eraseMemberData(context, interaction.user, interaction.guildId);
+  debugVerification('Privacy Erasure Done', interaction.user.id, { erasureRequestId: request.id, guildIds: request.guildIds });
+
+  const locale = getLocale(interaction, context.guildConfig);
+  await interaction.editReply({
+    content: t(locale, request.roleErrors.length > 0 ? 'replies.privacy.erasedRoleError' : 'replies.privacy.erased'),
+    components: []
+  });
+}
+
+const subcommands = { export: exportData, delete: deleteData };
+
+module.exports = {
+  PRIVACY_DELETE_BUTTON_ID,
+  handleDeleteButton,
+
+  // Members can manage their data in any server, set up or not
+  allowUnconfigured: true,
+
+  data: new SlashCommandBuilder()
+    .setName('privacy')
+    .setDescription('Get or erase the data this bot holds about you')
+    .setDMPermission(false)
+    .addSubcommand(subcommand => subcommand
+      .setName('export')
+      .setDescription('Receive a copy of your data by DM'))
+    .addSubcommand(subcommand => subcommand
+      .setName('delete')
+      .setDescription('Erase your data and your "42" role')),
+
+  /**
+   * Run a privacy subcommand
+   * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+   * @param {Object} context - Shared bot services, with the guildConfig
+   */
+  async execute(interaction, context) {
+    await interaction.deferReply({ ephemeral: true });
+    await subcommands[interaction.options.getSubcommand()](interaction, context);
+  }
+};
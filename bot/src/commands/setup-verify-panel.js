@@ -0,0 +1,56 @@
+const { SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const { createVerifyPanel } = require('../verify-panel');
+const { resolveLocale } = require('../i18n');
+const { debugLog } = require('../debug');
+const { logger } = require('../logger');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('setup-verify-panel')
+    .setDescription('Post a "Verify with 42" button in a channel')
+    .setDMPermission(false)
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .addChannelOption(option => option
+      .setName('channel')
+      .setDescription('Channel for the panel (default: this channel)')
+      .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)),
+
+  /**
+   * Post the verification panel, restricted to administrators
+   * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+   * @param {Object} context - Shared bot services
+   */
+  async execute(interaction, { store, guildConfig }) {
+    // Default permissions can be overridden per server, so check again
+    if (!interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+      debugLog('Verify Panel Setup Denied', { userId: interaction.user.id });
+      return interaction.reply({ content: 'You need the Administrator permission to use this command.', ephemeral: true });
+    }
+
+    const channel = interaction.options.getChannel('channel') || interaction.channel;
+    const permissions = channel.permissionsFor(interaction.guild.members.me);
+    if (!permissions?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+      return interaction.reply({
+        content: `I need the View Channel, Send Messages and Embed Links permissions in ${channel} to post the panel.`,
+        ephemeral: true
+      });
+    }
+
+    // The panel is public, so it uses the server's language rather than the admin's
+    const message = await channel.send(createVerifyPanel(resolveLocale(guildConfig.locale, interaction.guildLocale)));
+
+    await store.recordModAction({
+      guildId: interaction.guildId,
+      timestamp: Date.now(),
+      moderatorId: interaction.user.id,
+      moderatorUsername: interaction.user.tag,
+      action: 'setup-verify-panel',
+      channelId: channel.id,
+      messageId: message.id,
+      success: true
+    });
+    logger.info('Verify panel posted', { channelId: channel.id, messageId: message.id, moderatorId: interaction.user.id });
+
+    await interaction.reply({ content: `Verification panel posted: ${message.url}`, ephemeral: true });
+  }
+};
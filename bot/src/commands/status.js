@@ -0,0 +1,31 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { createStatusEmbed } = require('../utils');
+const { resolveLocale } = require('../i18n');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('status')
+    .setDescription('Show your 42 verification status')
+    .setDMPermission(false),
+
+  /**
+   * Show the member's verification state as an ephemeral reply
+   * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+   * @param {Object} context - Shared bot services, with the guildConfig
+   */
+  async execute(interaction, { store, guildConfig }) {
+    const [verifiedMember, pendingVerification] = await Promise.all([
+      store.getVerifiedMember(interaction.guildId, interaction.user.id),
+      store.getPendingVerificationByUser(interaction.guildId, interaction.user.id)
+    ]);
+
+    await interaction.reply({
+      embeds: [createStatusEmbed(interaction.user, {
+        verifiedMember,
+        pendingVerification,
+        hasRole: interaction.member.roles.cache.has(guildConfig.roleId)
+      }, resolveLocale(interaction.locale, guildConfig.locale, interaction.guildLocale))],
+      ephemeral: true
+    });
+  }
+};
@@ -0,0 +1,62 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { remove42Role } = require('../utils');
+const { removeAutoRoles } = require('../auto-roles');
+const { EVENT_TYPES, emitVerificationEvent } = require('../events');
+const { debugVerification } = require('../debug');
+const { logger } = require('../logger');
+const { resolveLocale, t } = require('../i18n');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('unlink')
+    .setDescription('Remove the link to your 42 account and the "42" role')
+    .setDMPermission(false),
+
+  /**
+   * Remove the member's 42 link and role
+   * @param {ChatInputCommandInteraction} interaction - Slash command interaction
+   * @param {Object} context - Shared bot services, with the guildConfig
+   */
+  async execute(interaction, { store, guildConfig }) {
+    const roleId = guildConfig.roleId;
+    const verifiedMember = await store.getVerifiedMember(interaction.guildId, interaction.user.id);
+    const hasRole = interaction.member.roles.cache.has(roleId);
+    const locale = resolveLocale(interaction.locale, guildConfig.locale, interaction.guildLocale);
+
+    if (!verifiedMember && !hasRole) {
+      return interaction.reply({
+        content: t(locale, 'replies.unlink.notLinked'),
+        ephemeral: true
+      });
+    }
+
+    if (hasRole && !(await remove42Role(interaction.member, roleId))) {
+      return interaction.reply({
+        content: t(locale, 'replies.unlink.roleError'),
+        ephemeral: true
+      });
+    }
+
+    if (verifiedMember) {
+      await removeAutoRoles(interaction.member, verifiedMember.autoRoleIds);
+    }
+    await store.deleteVerifiedMember(interaction.guildId, interaction.user.id);
+    await store.deletePendingVerificationsByUser(interaction.guildId, interaction.user.id);
+
+    debugVerification('Unlinked', interaction.user.id, { login: verifiedMember?.login, hadRole: hasRole });
+    emitVerificationEvent(EVENT_TYPES.REVOKED, {
+      guildId: interaction.guildId,
+      discordUserId: interaction.user.id,
+      login: verifiedMember?.login,
+      source: 'unlink'
+    });
+    logger.info('Member unlinked their 42 account', { discordUserId: interaction.user.id });
+
+    await interaction.reply({
+      content: verifiedMember
+        ? t(locale, 'replies.unlink.unlinked', { login: verifiedMember.login })
+        : t(locale, 'replies.unlink.roleRemoved'),
+      ephemeral: true
+    });
+  }
+};
@@ -0,0 +1,49 @@
+const { SlashCommandBuilder } = require('discord.js');
+const { createWelcomeEmbed } = require('../utils');
+const { startVerification } = require('../verification');
+const { debugVerification } = require('../debug');
+const { resolveLocale, t } = require('../i18n');
+const { needsRulesReacceptance, startRulesReacceptance } = require('../rules');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('verify')
+    .setDescription('Get a fresh link to verify your 42 student status')
+    .setDMPermission(false),
+
+  /**
+   * Issue a fresh verification link as an ephemeral reply
+   * Also answers the "Verify with 42" panel button.
+   * @param {ChatInputCommandInteraction|ButtonInteraction} interaction - Slash command or button interaction
+   * @param {Object} context - Shared bot services, with the guildConfig
+   */
+  async execute(interaction, { store, guildConfig }) {
+    const verifiedMember = await store.getVerifiedMember(interaction.guildId, interaction.user.id);
+    const hasRole = interaction.member.roles.cache.has(guildConfig.roleId);
+    const locale = resolveLocale(interaction.locale, guildConfig.locale, interaction.guildLocale);
+    const via = interaction.isButton() ? 'panel' : 'command';
+
+    // Linked members only need to accept the new rules, not to log in again, unless they were banned
+    if (verifiedMember && !verifiedMember.bannedAt && needsRulesReacceptance(guildConfig.rules, verifiedMember)) {
+      const url = await startRulesReacceptance(store, interaction.user, verifiedMember, locale);
+      debugVerification('Rules Reacceptance Link Sent', interaction.user.id, { via });
+      return interaction.reply({ content: t(locale, 'embeds.rulesUpdate.link', { url }), ephemeral: true });
+    }
+
+    if (verifiedMember && hasRole) {
+      debugVerification('Skip - Already verified', interaction.user.id, { login: verifiedMember.login });
+      return interaction.reply({
+        content: t(locale, 'replies.verify.alreadyVerified', { login: verifiedMember.login }),
+        ephemeral: true
+      });
+    }
+
+    const { authUrl } = await startVerification(store, interaction.user, { guildId: interaction.guildId, locale });
+
+    await interaction.reply({
+      embeds: [createWelcomeEmbed(interaction.user, authUrl, locale)],
+      ephemeral: true
+    });
+    debugVerification('Verification Link Sent', interaction.user.id, { via });
+  }
+};
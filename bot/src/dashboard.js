@@ -0,0 +1,477 @@
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const { PermissionFlagsBits } = require('discord.js');
+const { sendPage, sendErrorPage } = require('./views');
+const { setSignedCookie, readSignedCookie, safeEqual } = require('./session');
+const { getGuildConfig, isGuildConfigured, listConfiguredGuilds } = require('./guild-config');
+const { forceVerifyMember, revokeMember } = require('./moderation');
+const { LOGIN_ALREADY_LINKED } = require('./store');
+const { STATE_MAX_AGE } = require('./utils');
+const { EVENT_TYPES, onVerificationEvent } = require('./events');
+const { getDefaultLocale } = require('./i18n');
+const { debugLog } = require('./debug');
+const { logger, addLogContext } = require('./logger');
+
+const DISCORD_API_URL = 'https://discord.com/api';
+
+// Signed cookies: the logged-in administrator, and the login in progress
+const DASHBOARD_COOKIE = 'queernel_dashboard';
+const DASHBOARD_LOGIN_COOKIE = 'queernel_dashboard_login';
+const DASHBOARD_SESSION_MAX_AGE = 12 * 60 * 60 * 1000;
+const DASHBOARD_LOGIN_MAX_AGE = 10 * 60 * 1000;
+
+// Results of the dashboard actions, shown after the redirect
+const NOTICES = {
+  verified: { text: 'Member verified.' },
+  revoked: { text: 'Verification revoked.' },
+  not_member: { text: 'That user is not a member of this server.', error: true },
+  already_linked: { text: 'That 42 login is already linked to another member. Revoke that link first.', error: true },
+  role_failed: { text: 'The role could not be changed. Check the role hierarchy.', error: true },
+  not_verified: { text: 'That member is not verified.', error: true },
+  invalid: { text: 'Enter a Discord user ID and a 42 login.', error: true }
+};
+
+// Columns of each CSV export
+const EXPORT_COLUMNS = {
+  verifications: ['discordUserId', 'discordUsername', 'step', 'purpose', 'startedAt', 'expiresAt', 'verificationId'],
+  pending: ['discordUserId', 'discordUsername', 'joinedAt', 'remindersSent', 'action'],
+  verified: ['discordUserId', 'discordUsername', 'login', 'campus', 'verifiedAt', 'verifiedBy', 'rulesVersion', 'flagReason'],
+  failures: ['timestamp', 'discordUserId', 'login', 'step', 'reason', 'code', 'verificationId'],
+  declines: ['timestamp', 'discordUserId', 'login', 'purpose', 'verificationId']
+};
+
+/**
+ * Read the dashboard configuration from the environment
+ * @returns {Object} - { enabled, clientId, clientSecret, redirectUri, historyDays }
+ */
+function getDashboardConfig() {
+  return {
+    // Discord OAuth2 login needs the application's client secret
+    enabled: !!process.env.DISCORD_CLIENT_SECRET,
+    clientId: process.env.DISCORD_CLIENT_ID,
+    clientSecret: process.env.DISCORD_CLIENT_SECRET,
+    redirectUri: `${process.env.BASE_URL}/dashboard/callback`,
+    historyDays: Number(process.env.DASHBOARD_HISTORY_DAYS) || 30
+  };
+}
+
+/**
+ * Keep verification events in the store, for the failures and declines of the dashboard
+ * Events are recorded even when the dashboard is disabled, so enabling it shows the recent history.
+ * @param {Object} context - Shared bot services
+ */
+function registerEventHistory({ store }) {
+  onVerificationEvent(async (event) => {
+    // An erasure must not write the erased member's ID back into the history
+    if (!event.guildId || event.type === EVENT_TYPES.ERASED) return;
+    await store.recordVerificationEvent(event);
+  });
+}
+
+/**
+ * Delete verification events older than DASHBOARD_HISTORY_DAYS
+ * @param {Object} store - Verification store
+ * @returns {Promise<number>} - Number of deleted events
+ */
+async function pruneEventHistory(store) {
+  const { historyDays } = getDashboardConfig();
+  return store.deleteVerificationEventsBefore(Date.now() - historyDays * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Format a timestamp for the dashboard, in UTC
+ * @param {number|null} timestamp - Timestamp in milliseconds
+ * @returns {string} - 'YYYY-MM-DD HH:MM', or an empty string
+ */
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString().slice(0, 16).replace('T', ' ') : '';
+}
+
+/**
+ * Format how long ago something happened
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @returns {string} - e.g. '2d 5h', '3h 12m' or '4m'
+ */
+function formatAge(timestamp) {
+  const minutes = Math.max(0, Math.floor((Date.now() - timestamp) / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+}
+
+/**
+ * Build a CSV document
+ * Cells starting like a formula are prefixed with a quote, so spreadsheets do not run them.
+ * @param {Array<Object>} rows - Rows to export
+ * @param {Array<string>} columns - Keys to export, also used as the header
+ * @returns {string} - CSV document
+ */
+function toCsv(rows, columns) {
+  const escape = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(escape).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+/**
+ * Read the logged-in administrator from the dashboard cookie
+ * @param {Request} req - Express request
+ * @returns {Object|null} - { userId, username, csrfToken }, or null if not logged in
+ */
+function readDashboardSession(req) {
+  const value = readSignedCookie(req, DASHBOARD_COOKIE);
+  if (!value) return null;
+
+  const [userId, csrfToken, username] = value.split('.');
+  return { userId, csrfToken, username: Buffer.from(username || '', 'base64url').toString() };
+}
+
+/**
+ * Load the data shown on a guild's dashboard
+ * @param {Object} store - Verification store
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<Object>} - { verifications, pending, verified, failures, declines } as stored
+ */
+async function loadGuildData(store, guildId) {
+  const since = Date.now() - getDashboardConfig().historyDays * 24 * 60 * 60 * 1000;
+  const [verifications, pending, verified, failures, declines] = await Promise.all([
+    store.listPendingVerifications(guildId),
+    store.listUnverifiedMembers(guildId),
+    store.listVerifiedMembers(guildId),
+    store.listVerificationEvents({ guildId, type: EVENT_TYPES.FAILED, since, limit: 200 }),
+    store.listVerificationEvents({ guildId, type: EVENT_TYPES.DECLINED, since, limit: 10000 })
+  ]);
+  return { verifications, pending, verified, failures, declines };
+}
+
+/**
+ * Count rules declines per member, most declines first
+ * @param {Array<Object>} declines - Declined events, most recent first
+ * @returns {Array<Object>} - [{ discordUserId, login, count, lastAt }]
+ */
+function countDeclines(declines) {
+  const members = new Map();
+  for (const event of declines) {
+    const entry = members.get(event.discordUserId);
+    if (entry) {
+      entry.count++;
+    } else {
+      members.set(event.discordUserId, { discordUserId: event.discordUserId, login: event.login, count: 1, lastAt: event.timestamp });
+    }
+  }
+  return [...members.values()].sort((a, b) => b.count - a.count || b.lastAt - a.lastAt);
+}
+
+/**
+ * Record a dashboard action like a moderator command
+ * @param {Object} store - Verification store
+ * @param {Object} session - Dashboard session
+ * @param {string} guildId - Discord guild ID
+ * @param {Object} details - { action, targetUserId, login?, reason?, success, error? }
+ * @returns {Promise<Object>} - Recorded action
+ */
+async function recordDashboardAction(store, session, guildId, details) {
+  logger.info('Dashboard action used', { moderatorId: session.userId, action: details.action, targetUserId: details.targetUserId, success: details.success });
+  return store.recordModAction({
+    guildId,
+    timestamp: Date.now(),
+    moderatorId: session.userId,
+    moderatorUsername: session.username,
+    source: 'dashboard',
+    ...details
+  });
+}
+
+/**
+ * Create the admin dashboard, mounted on /dashboard
+ * Administrators log in with Discord and only see the servers they administer.
+ * @param {Object} context - Shared bot services
+ * @returns {Router} - Express router
+ */
+function createDashboardRouter(context) {
+  const { client, store } = context;
+  const config = getDashboardConfig();
+  const router = express.Router();
+
+  // Dashboard pages are for moderators, in English like the moderator commands
+  const sendDashboardError = (res, status, title, message, hint) => {
+    res.status(status);
+    sendErrorPage(res, getDefaultLocale(), { title, message, hint });
+  };
+
+  // Express 4 does not catch rejected promises
+  const handle = (handler) => async (req, res, next) => {
+    try {
+      await handler(req, res, next);
+    } catch (error) {
+      logger.error('Dashboard error', { path: req.path, error });
+      sendDashboardError(res, 500, 'Dashboard Error', 'Something went wrong.', 'Try again, or check the bot logs.');
+    }
+  };
+
+  /**
+   * List the configured guilds a user administers
+   * Checked on every request, so losing the Administrator permission takes effect at once.
+   */
+  const listAdminGuilds = async (userId) => {
+    const guilds = [];
+    for (const { guild, config: guildConfig } of await listConfiguredGuilds(context)) {
+      const member = await guild.members.fetch(userId).catch(() => null);
+      if (member?.permissions.has(PermissionFlagsBits.Administrator)) {
+        guilds.push({ guild, guildConfig });
+      }
+    }
+    return guilds;
+  };
+
+  // Every route below the login needs a session, and the guild routes an administrator of the guild
+  const requireSession = (req, res, next) => {
+    req.session = readDashboardSession(req);
+    if (!req.session) {
+      return res.redirect('/dashboard/login');
+    }
+    addLogContext({ dashboardUserId: req.session.userId });
+    next();
+  };
+
+  const requireGuildAdmin = handle(async (req, res, next) => {
+    const guild = client.guilds.cache.get(req.params.guildId);
+    const member = guild ? await guild.members.fetch(req.session.userId).catch(() => null) : null;
+    if (!member?.permissions.has(PermissionFlagsBits.Administrator)) {
+      debugLog('Dashboard Access Denied', { userId: req.session.userId, guildId: req.params.guildId });
+      return sendDashboardError(res, 403, 'Access Denied', 'You are not an administrator of this server.', 'Log in with another Discord account, or ask a server administrator.');
+    }
+
+    addLogContext({ guildId: guild.id });
+    const guildConfig = await getGuildConfig(context, guild.id);
+    if (!isGuildConfigured(guildConfig)) {
+      debugLog('Dashboard Guild Not Configured', { userId: req.session.userId, guildId: guild.id });
+      return sendDashboardError(res, 404, 'Not Set Up', 'This server is not set up for 42 verification yet.', 'Set the verified role with /admin config role, then reload this page.');
+    }
+
+    req.guild = guild;
+    req.guildConfig = guildConfig;
+    next();
+  });
+
+  const requireCsrf = (req, res, next) => {
+    if (!safeEqual(req.body.csrf, req.session.csrfToken)) {
+      debugLog('Dashboard CSRF Mismatch', { userId: req.session.userId, path: req.path });
+      return sendDashboardError(res, 403, 'Access Denied', 'This form has expired.', 'Go back, reload the page and try again.');
+    }
+    next();
+  };
+
+  router.get('/login', (req, res) => {
+    // The state is checked against a cookie, so nobody can log a browser into their own account
+    const state = crypto.randomBytes(16).toString('base64url');
+    setSignedCookie(res, DASHBOARD_LOGIN_COOKIE, state, { path: '/dashboard', maxAge: DASHBOARD_LOGIN_MAX_AGE });
+
+    const url = new URL('https://discord.com/oauth2/authorize');
+    url.searchParams.set('client_id', config.clientId);
+    url.searchParams.set('redirect_uri', config.redirectUri);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('scope', 'identify');
+    url.searchParams.set('state', state);
+    res.redirect(url.toString());
+  });
+
+  router.get('/callback', handle(async (req, res) => {
+    const { code, state } = req.query;
+    if (!code || !safeEqual(state, readSignedCookie(req, DASHBOARD_LOGIN_COOKIE))) {
+      debugLog('Dashboard Login State Mismatch', { hasCode: !!code, hasState: !!state });
+      return sendDashboardError(res, 400, 'Login Failed', 'The login link is invalid or has expired.', 'Open the dashboard again to log in.');
+    }
+    res.clearCookie(DASHBOARD_LOGIN_COOKIE, { path: '/dashboard' });
+
+    const tokenResponse = await axios.post(`${DISCORD_API_URL}/oauth2/token`, new URLSearchParams({
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: config.redirectUri
+    }), { timeout: 10 * 1000 });
+    const { data: user } = await axios.get(`${DISCORD_API_URL}/users/@me`, {
+      headers: { Authorization: `Bearer ${tokenResponse.data.access_token}` },
+      timeout: 10 * 1000
+    });
+
+    // The username is encoded, it may contain dots
+    const csrfToken = crypto.randomBytes(24).toString('base64url');
+    const username = Buffer.from(user.username).toString('base64url');
+    setSignedCookie(res, DASHBOARD_COOKIE, `${user.id}.${csrfToken}.${username}`, { path: '/dashboard', maxAge: DASHBOARD_SESSION_MAX_AGE });
+
+    logger.info('Dashboard login', { userId: user.id });
+    res.redirect('/dashboard');
+  }));
+
+  router.post('/logout', requireSession, requireCsrf, (req, res) => {
+    res.clearCookie(DASHBOARD_COOKIE, { path: '/dashboard' });
+    sendPage(res, 'dashboard-guilds', { loggedOut: true }, { title: 'Verification Dashboard', theme: 'dashboard' });
+  });
+
+  router.get('/', requireSession, handle(async (req, res) => {
+    const guilds = await listAdminGuilds(req.session.userId);
+    if (guilds.length === 0) {
+      return sendDashboardError(res, 403, 'Access Denied', 'You are not an administrator of any server set up for verification.', 'Log in with another Discord account, or ask a server administrator.');
+    }
+    if (guilds.length === 1) {
+      return res.redirect(`/dashboard/${guilds[0].guild.id}`);
+    }
+
+    sendPage(res, 'dashboard-guilds', {
+      username: req.session.username,
+      csrfToken: req.session.csrfToken,
+      guilds: guilds.map(({ guild }) => ({ id: guild.id, name: guild.name }))
+    }, { title: 'Verification Dashboard', theme: 'dashboard' });
+  }));
+
+  router.get('/:guildId', requireSession, requireGuildAdmin, handle(async (req, res) => {
+    const { verifications, pending, verified, failures, declines } = await loadGuildData(store, req.guild.id);
+    const adminGuilds = await listAdminGuilds(req.session.userId);
+
+    sendPage(res, 'dashboard', {
+      guild: { id: req.guild.id, name: req.guild.name },
+      username: req.session.username,
+      csrfToken: req.session.csrfToken,
+      notice: NOTICES[req.query.notice],
+      historyDays: config.historyDays,
+      guilds: adminGuilds.length > 1
+        ? adminGuilds.map(({ guild }) => ({ id: guild.id, name: guild.name, current: guild.id === req.guild.id }))
+        : [],
+      verifications: verifications.map(record => ({
+        discordUserId: record.discordUserId,
+        discordUsername: record.discordUsername,
+        step: record.step,
+        purpose: record.purpose,
+        started: formatTime(record.timestamp),
+        age: formatAge(record.timestamp),
+        expires: formatTime(record.timestamp + STATE_MAX_AGE)
+      })),
+      pending: pending.map(record => ({
+        ...record,
+        joined: formatTime(record.joinedAt),
+        age: formatAge(record.joinedAt),
+        remindersSent: record.remindersSent || 0,
+        action: record.actionTakenAt ? record.action : null
+      })),
+      verified: verified.map(record => ({
+        ...record,
+        campus: (record.campus || []).map(campus => campus.name).join(', '),
+        verified: formatTime(record.verifiedAt),
+        flagged: !!record.flaggedAt
+      })),
+      failures: failures.map(event => ({ ...event, time: formatTime(event.timestamp) })),
+      declines: {
+        total: declines.length,
+        members: countDeclines(declines).map(entry => ({ ...entry, last: formatTime(entry.lastAt) }))
+      }
+    }, { title: `${req.guild.name} - Verification Dashboard`, theme: 'dashboard' });
+  }));
+
+  router.get('/:guildId/export/:list.csv', requireSession, requireGuildAdmin, handle(async (req, res) => {
+    const columns = EXPORT_COLUMNS[req.params.list];
+    if (!columns) {
+      return res.status(404).send('Not found');
+    }
+
+    const data = await loadGuildData(store, req.guild.id);
+    const rows = {
+      verifications: () => data.verifications.map(record => ({
+        ...record,
+        startedAt: new Date(record.timestamp).toISOString(),
+        expiresAt: new Date(record.timestamp + STATE_MAX_AGE).toISOString()
+      })),
+      pending: () => data.pending.map(record => ({
+        ...record,
+        joinedAt: new Date(record.joinedAt).toISOString(),
+        remindersSent: record.remindersSent || 0,
+        action: record.actionTakenAt ? record.action : ''
+      })),
+      verified: () => data.verified.map(record => ({
+        ...record,
+        campus: (record.campus || []).map(campus => campus.name).join('; '),
+        verifiedAt: new Date(record.verifiedAt).toISOString()
+      })),
+      failures: () => data.failures.map(event => ({ ...event, timestamp: new Date(event.timestamp).toISOString() })),
+      declines: () => data.declines.map(event => ({ ...event, timestamp: new Date(event.timestamp).toISOString() }))
+    }[req.params.list]();
+
+    debugLog('Dashboard Export', { guildId: req.guild.id, list: req.params.list, rows: rows.length });
+    res.attachment(`${req.params.list}-${req.guild.id}.csv`);
+    res.type('text/csv').send(toCsv(rows, columns));
+  }));
+
+  router.post('/:guildId/verify', requireSession, requireCsrf, requireGuildAdmin, handle(async (req, res) => {
+    const discordUserId = (req.body.discordUserId || '').trim();
+    const login = (req.body.login || '').trim().toLowerCase();
+    const redirect = (notice) => res.redirect(`/dashboard/${req.guild.id}?notice=${notice}`);
+
+    if (!/^\d+$/.test(discordUserId) || !login) {
+      return redirect('invalid');
+    }
+
+    const member = await req.guild.members.fetch(discordUserId).catch(() => null);
+    if (!member) {
+      await recordDashboardAction(store, req.session, req.guild.id, { action: 'verify', targetUserId: discordUserId, login, success: false, error: 'Not a member' });
+      return redirect('not_member');
+    }
+
+    const { success, error, fortyTwoError } = await forceVerifyMember({ ...context, guildConfig: req.guildConfig }, member, login, req.session.userId);
+    await recordDashboardAction(store, req.session, req.guild.id, { action: 'verify', targetUserId: discordUserId, login, success, error, fortyTwoError });
+
+    if (error === LOGIN_ALREADY_LINKED) return redirect('already_linked');
+    if (error) return redirect('role_failed');
+    redirect('verified');
+  }));
+
+  router.post('/:guildId/revoke', requireSession, requireCsrf, requireGuildAdmin, handle(async (req, res) => {
+    const discordUserId = (req.body.discordUserId || '').trim();
+    const reason = (req.body.reason || '').trim().slice(0, 1000) || null;
+    const redirect = (notice) => res.redirect(`/dashboard/${req.guild.id}?notice=${notice}`);
+
+    const member = await req.guild.members.fetch(discordUserId).catch(() => null);
+    const { success, error, verifiedMember } = await revokeMember({ ...context, guildConfig: req.guildConfig }, req.guild.id, discordUserId, member, {
+      moderatorId: req.session.userId,
+      reason
+    });
+    await recordDashboardAction(store, req.session, req.guild.id, { action: 'revoke', targetUserId: discordUserId, login: verifiedMember?.login, reason, success, error });
+
+    if (error === 'Not verified') return redirect('not_verified');
+    if (error) return redirect('role_failed');
+    redirect('revoked');
+  }));
+
+  return router;
+}
+
+/**
+ * Serve the dashboard on /dashboard when DISCORD_CLIENT_SECRET is set
+ * @param {Express} app - Express app
+ * @param {Object} context - Shared bot services
+ */
+function registerDashboard(app, context) {
+  if (!getDashboardConfig().enabled) {
+    debugLog('Dashboard Disabled', { reason: 'DISCORD_CLIENT_SECRET is not set' });
+    return;
+  }
+
+  app.use('/dashboard', createDashboardRouter(context));
+  logger.info('Dashboard enabled', { path: '/dashboard' });
+}
+
+module.exports = {
+  getDashboardConfig,
+  registerEventHistory,
+  pruneEventHistory,
+  registerDashboard
+};
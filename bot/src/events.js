@@ -0,0 +1,56 @@
+const { EventEmitter } = require('events');
+const { debugLog } = require('./debug');
+const { logger, getLogContext } = require('./logger');
+
+// Verification lifecycle events, emitted next to the matching debugVerification calls
+const EVENT_TYPES = {
+  COMPLETED: 'verification.completed',
+  DECLINED: 'verification.declined',
+  FAILED: 'verification.failed',
+  REVOKED: 'member.revoked',
+  REJOIN_REFUSED: 'member.rejoin_refused',
+  ERASED: 'member.erased'
+};
+
+const emitter = new EventEmitter();
+
+/**
+ * Emit a verification event to every listener
+ * Listeners run after the current flow, so a slow or failing one never delays a member.
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} data - { guildId, discordUserId, login, ...details }
+ */
+function emitVerificationEvent(type, data) {
+  const { verificationId, guildId } = getLogContext();
+  const event = {
+    type,
+    timestamp: Date.now(),
+    verificationId: verificationId || null,
+    guildId: guildId || null,
+    ...data
+  };
+  debugLog('Verification Event', { type, guildId: event.guildId, discordUserId: event.discordUserId, verificationId: event.verificationId });
+  emitter.emit('event', event);
+}
+
+/**
+ * Subscribe to every verification event
+ * @param {Function} listener - Async function called with the event
+ */
+function onVerificationEvent(listener) {
+  emitter.on('event', (event) => {
+    setImmediate(async () => {
+      try {
+        await listener(event);
+      } catch (error) {
+        logger.error('Verification event listener failed', { type: event.type, error });
+      }
+    });
+  });
+}
+
+module.exports = {
+  EVENT_TYPES,
+  emitVerificationEvent,
+  onVerificationEvent
+};
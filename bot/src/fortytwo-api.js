@@ -1,20 +1,307 @@
 const axios = require('axios');
-const { debugRequest, debugResponse, debugOAuth2Flow } = require('./debug');
+const { debugLog, debugRequest, debugResponse, debugOAuth2Flow } = require('./debug');
+const { DEFAULT_POLICY, evaluatePolicy } = require('./policy');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 class FortyTwoAPI {
-  constructor(clientId, clientSecret) {
+  /**
+   * @param {string} clientId - 42 API client ID
+   * @param {string} clientSecret - 42 API client secret
+   * @param {Object} options - Request layer options
+   * @param {number} options.requestsPerSecond - Maximum requests per second (default: 2, the 42 default)
+   * @param {number} options.requestsPerHour - Maximum requests per hour (default: 1200, the 42 default)
+   * @param {number} options.maxRetries - Retries for 429, 5xx and network errors (default: 3)
+   * @param {number} options.retryBaseDelay - Base delay for the exponential backoff in ms (default: 500)
+   * @param {number} options.retryMaxDelay - Maximum backoff delay in ms (default: 10000)
+   * @param {Object} options.policy - Eligibility policy (default: DEFAULT_POLICY)
+   */
+  constructor(clientId, clientSecret, options = {}) {
     this.clientId = clientId;
     this.clientSecret = clientSecret;
     this.baseURL = 'https://api.intra.42.fr';
+
+    this.requestsPerSecond = options.requestsPerSecond || 2;
+    this.requestsPerHour = options.requestsPerHour || 1200;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryBaseDelay = options.retryBaseDelay || 500;
+    this.retryMaxDelay = options.retryMaxDelay || 10 * 1000;
+    this.policy = options.policy || DEFAULT_POLICY;
+
+    // Request queue state: start times of recent requests, a chain that hands out slots
+    // one at a time, and a pause set by Retry-After when the API answers 429
+    this.requestTimestamps = [];
+    this.slotChain = Promise.resolve();
+    this.pausedUntil = 0;
+    this.stats = {
+      requests: 0,
+      queued: 0,
+      throttled: 0,
+      rateLimited: 0,
+      retried: 0,
+      failed: 0
+    };
+
+    // Application token from the client_credentials grant, shared by app-level calls
+    this.appToken = null;
+    this.appTokenExpiresAt = 0;
+    this.appTokenRequest = null;
+    // Refresh the app token this long before it actually expires
+    this.appTokenRefreshMargin = 60 * 1000;
+  }
+
+  /**
+   * Get the request layer counters
+   * @returns {Object} - { requests, queued, throttled, rateLimited, retried, failed }
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * Wait until a request may be sent without exceeding the rate limits
+   * Slots are handed out in call order, so requests leave the queue first-in first-out.
+   * @returns {Promise<void>}
+   */
+  acquireSlot() {
+    this.stats.queued++;
+    const slot = this.slotChain.then(() => this.waitForSlot());
+    this.slotChain = slot.catch(() => {});
+    return slot.finally(() => {
+      this.stats.queued--;
+    });
+  }
+
+  /**
+   * Sleep until the per-second and per-hour windows and any Retry-After pause allow one more request
+   * @returns {Promise<void>}
+   */
+  async waitForSlot() {
+    let throttled = false;
+
+    for (;;) {
+      const now = Date.now();
+      this.requestTimestamps = this.requestTimestamps.filter(timestamp => now - timestamp < 60 * 60 * 1000);
+      const lastSecond = this.requestTimestamps.filter(timestamp => now - timestamp < 1000);
+
+      let delay = this.pausedUntil - now;
+      if (lastSecond.length >= this.requestsPerSecond) {
+        delay = Math.max(delay, lastSecond[lastSecond.length - this.requestsPerSecond] + 1000 - now);
+      }
+      if (this.requestTimestamps.length >= this.requestsPerHour) {
+        delay = Math.max(delay, this.requestTimestamps[this.requestTimestamps.length - this.requestsPerHour] + 60 * 60 * 1000 - now);
+      }
+
+      if (delay <= 0) {
+        this.requestTimestamps.push(now);
+        return;
+      }
+
+      if (!throttled) {
+        throttled = true;
+        this.stats.throttled++;
+        debugLog('42 API Request Throttled', { delay, queued: this.stats.queued });
+      }
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Compute a jittered exponential backoff delay
+   * @param {number} attempt - Retry attempt, starting at 0
+   * @returns {number} - Delay in milliseconds
+   */
+  getBackoffDelay(attempt) {
+    const ceiling = Math.min(this.retryMaxDelay, this.retryBaseDelay * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  /**
+   * Parse a Retry-After header (seconds or HTTP date)
+   * @param {string|undefined} value - Header value
+   * @returns {number|null} - Delay in milliseconds or null
+   */
+  parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return seconds * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Send a request to the 42 API through the shared queue
+   * 429 responses pause the whole queue for Retry-After and are retried. 5xx and network
+   * errors are retried with jittered backoff, unless the request is not idempotent.
+   * @param {Object} config - Axios request config
+   * @param {Object} options - Request options
+   * @param {boolean} options.idempotent - Safe to retry after 5xx and network errors (default: true)
+   * @returns {Promise<Object>} - Axios response
+   */
+  async request(config, { idempotent = true } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await this.acquireSlot();
+      this.stats.requests++;
+      const endTimer = metrics.fortyTwoRequestDuration.startTimer({
+        method: config.method.toUpperCase(),
+        endpoint: metrics.getEndpointLabel(config.url)
+      });
+
+      try {
+        const response = await axios(config);
+        endTimer({ status: response.status });
+        return response;
+      } catch (error) {
+        const status = error.response?.status;
+        endTimer({ status: status || 'error' });
+        let delay;
+
+        if (status === 429) {
+          this.stats.rateLimited++;
+          delay = this.parseRetryAfter(error.response.headers?.['retry-after']) ?? this.getBackoffDelay(attempt);
+          this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+        } else if (idempotent && (status >= 500 || !error.response)) {
+          delay = this.getBackoffDelay(attempt);
+        }
+
+        if (delay === undefined || attempt >= this.maxRetries) {
+          this.stats.failed++;
+          throw error;
+        }
+
+        this.stats.retried++;
+        debugLog('42 API Request Retry', { 
+          method: config.method, 
+          url: config.url, 
+          status, 
+          error: error.code || error.message, 
+          attempt: attempt + 1, 
+          delay 
+        });
+        // 429 delays are enforced by the queue pause
+        if (status !== 429) {
+          await sleep(delay);
+        }
+      }
+    }
+  }
+
+  /**
+   * Request a new application token through the client_credentials grant
+   * @returns {Promise<Object>} - Token response
+   */
+  async requestAppToken() {
+    try {
+      const url = `${this.baseURL}/oauth/token`;
+      const body = {
+        grant_type: 'client_credentials',
+        client_id: this.clientId,
+        client_secret: this.clientSecret
+      };
+      const headers = {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      };
+
+      debugOAuth2Flow('App Token Request', { url, body, headers });
+      debugRequest('POST', url, headers, body);
+
+      const response = await this.request({ method: 'post', url, data: body, headers });
+
+      debugResponse(response.status, response.headers, response.data);
+      debugOAuth2Flow('App Token Success', { 
+        status: response.status, 
+        hasAccessToken: !!response.data.access_token,
+        expiresIn: response.data.expires_in
+      });
+
+      return response.data;
+    } catch (error) {
+      debugOAuth2Flow('App Token Error', { 
+        status: error.response?.status,
+        error: error.response?.data || error.message 
+      });
+      logger.error('App token error', { error, response: error.response?.data });
+      throw new Error(`Failed to get application token: ${error.response?.data?.error_description || error.message}`);
+    }
+  }
+
+  /**
+   * Get a valid application token, requesting a new one when the cached token is about to expire
+   * Concurrent callers share the same token request.
+   * @returns {Promise<string>} - Application access token
+   */
+  async getAppToken() {
+    if (this.appToken && Date.now() < this.appTokenExpiresAt - this.appTokenRefreshMargin) {
+      return this.appToken;
+    }
+
+    if (!this.appTokenRequest) {
+      this.appTokenRequest = this.requestAppToken()
+        .then(({ access_token, expires_in }) => {
+          this.appToken = access_token;
+          // 42 tokens last 2 hours, assume that if the response does not say
+          this.appTokenExpiresAt = Date.now() + (expires_in || 7200) * 1000;
+          return access_token;
+        })
+        .finally(() => {
+          this.appTokenRequest = null;
+        });
+    }
+
+    return this.appTokenRequest;
+  }
+
+  /**
+   * Forget the cached application token so the next call requests a new one
+   */
+  invalidateAppToken() {
+    this.appToken = null;
+    this.appTokenExpiresAt = 0;
+  }
+
+  /**
+   * Perform a GET request authenticated with the application token
+   * A 401 means the token was revoked early: it is dropped and the request retried once.
+   * @param {string} path - API path, e.g. /v2/users/login
+   * @returns {Promise<Object>} - Axios response
+   */
+  async appGet(path) {
+    const url = `${this.baseURL}${path}`;
+
+    for (let attempt = 1; ; attempt++) {
+      const headers = {
+        'Authorization': `Bearer ${await this.getAppToken()}`
+      };
+
+      debugRequest('GET', url, headers);
+
+      try {
+        return await this.request({ method: 'get', url, headers });
+      } catch (error) {
+        if (error.response?.status === 401 && attempt === 1) {
+          debugOAuth2Flow('App Token Rejected', { url });
+          this.invalidateAppToken();
+          continue;
+        }
+        throw error;
+      }
+    }
   }
 
   /**
    * Exchange authorization code for access token
    * @param {string} code - Authorization code from OAuth2 callback
    * @param {string} redirectUri - OAuth2 redirect URI
+   * @param {string|null} codeVerifier - PKCE code verifier of the authorization request
    * @returns {Promise<Object>} - Token response
    */
-  async exchangeCodeForToken(code, redirectUri) {
+  async exchangeCodeForToken(code, redirectUri, codeVerifier = null) {
     try {
       const url = `${this.baseURL}/oauth/token`;
       const body = {
@@ -24,14 +311,20 @@ class FortyTwoAPI {
         code: code,
         redirect_uri: redirectUri
       };
+      if (codeVerifier) {
+        body.code_verifier = codeVerifier;
+      }
       const headers = {
         'Content-Type': 'application/x-www-form-urlencoded'
       };
 
-      debugOAuth2Flow('Token Exchange Request', { url, body, headers });
-      debugRequest('POST', url, headers, body);
+      // Logged as authorizationCode, which the redaction masks
+      const { code: authorizationCode, ...loggedBody } = body;
+      debugOAuth2Flow('Token Exchange Request', { url, body: { ...loggedBody, authorizationCode }, headers });
+      debugRequest('POST', url, headers, { ...loggedBody, authorizationCode });
 
-      const response = await axios.post(url, body, { headers });
+      // Authorization codes are single-use, only retry when the API certainly did not process the request
+      const response = await this.request({ method: 'post', url, data: body, headers }, { idempotent: false });
 
       debugResponse(response.status, response.headers, response.data);
       debugOAuth2Flow('Token Exchange Success', { 
@@ -45,7 +338,8 @@ class FortyTwoAPI {
         status: error.response?.status,
         error: error.response?.data || error.message 
       });
-      console.error('Token exchange error:', error.response?.data || error.message);
+      metrics.tokenExchangeFailures.inc();
+      logger.error('Token exchange error', { error, response: error.response?.data });
       throw new Error(`Failed to exchange code for token: ${error.response?.data?.error_description || error.message}`);
     }
   }
@@ -65,7 +359,7 @@ class FortyTwoAPI {
       debugOAuth2Flow('Get User Info Request', { url, headers });
       debugRequest('GET', url, headers);
 
-      const response = await axios.get(url, { headers });
+      const response = await this.request({ method: 'get', url, headers });
 
       debugResponse(response.status, response.headers, response.data);
       debugOAuth2Flow('Get User Info Success', { 
@@ -80,7 +374,7 @@ class FortyTwoAPI {
         status: error.response?.status,
         error: error.response?.data || error.message 
       });
-      console.error('Get user info error:', error.response?.data || error.message);
+      logger.error('Get user info error', { error, response: error.response?.data });
       throw new Error(`Failed to get user info: ${error.response?.data?.error_description || error.message}`);
     }
   }
@@ -92,12 +386,11 @@ class FortyTwoAPI {
    */
   async getUserByLogin(login) {
     try {
-      const url = `${this.baseURL}/v2/users/${login}`;
+      const path = `/v2/users/${encodeURIComponent(login)}`;
       
-      debugOAuth2Flow('Get User By Login Request', { url, login });
-      debugRequest('GET', url);
+      debugOAuth2Flow('Get User By Login Request', { url: `${this.baseURL}${path}`, login });
 
-      const response = await axios.get(url);
+      const response = await this.appGet(path);
 
       debugResponse(response.status, response.headers, response.data);
       debugOAuth2Flow('Get User By Login Success', { 
@@ -112,7 +405,7 @@ class FortyTwoAPI {
         status: error.response?.status,
         error: error.response?.data || error.message 
       });
-      console.error('Get user by login error:', error.response?.data || error.message);
+      logger.error('Get user by login error', { login, error, response: error.response?.data });
       throw new Error(`Failed to get user by login: ${error.response?.data?.error_description || error.message}`);
     }
   }
@@ -132,7 +425,7 @@ class FortyTwoAPI {
       debugOAuth2Flow('Get User Cursus Request', { url, headers });
       debugRequest('GET', url, headers);
 
-      const response = await axios.get(url, { headers });
+      const response = await this.request({ method: 'get', url, headers });
 
       debugResponse(response.status, response.headers, response.data);
       debugOAuth2Flow('Get User Cursus Success', { 
@@ -146,7 +439,7 @@ class FortyTwoAPI {
         status: error.response?.status,
         error: error.response?.data || error.message 
       });
-      console.error('Get user cursus error:', error.response?.data || error.message);
+      logger.error('Get user cursus error', { error, response: error.response?.data });
       throw new Error(`Failed to get user cursus: ${error.response?.data?.error_description || error.message}`);
     }
   }
@@ -166,7 +459,7 @@ class FortyTwoAPI {
       debugOAuth2Flow('Get User Campus Request', { url, headers });
       debugRequest('GET', url, headers);
 
-      const response = await axios.get(url, { headers });
+      const response = await this.request({ method: 'get', url, headers });
 
       debugResponse(response.status, response.headers, response.data);
       debugOAuth2Flow('Get User Campus Success', { 
@@ -180,49 +473,34 @@ class FortyTwoAPI {
         status: error.response?.status,
         error: error.response?.data || error.message 
       });
-      console.error('Get user campus error:', error.response?.data || error.message);
+      logger.error('Get user campus error', { error, response: error.response?.data });
       throw new Error(`Failed to get user campus: ${error.response?.data?.error_description || error.message}`);
     }
   }
 
+  /**
+   * Check a user against the eligibility policy
+   * @param {Object} userData - User data from 42 API
+   * @param {Object} policy - Eligibility policy (default: the policy given to the constructor)
+   * @returns {Object} - { eligible, failures: [{ rule, message }] }
+   */
+  checkEligibility(userData, policy = this.policy) {
+    const result = evaluatePolicy(policy, userData);
+    debugLog('Eligibility Check', { 
+      login: userData?.login, 
+      eligible: result.eligible, 
+      failedRules: result.failures.map(failure => failure.rule) 
+    });
+    return result;
+  }
+
   /**
    * Validate if user is a current 42 student
    * @param {Object} userData - User data from 42 API
-   * @returns {boolean} - True if user is a current student
+   * @returns {boolean} - True if user passes the eligibility policy
    */
   validateStudentStatus(userData) {
-    // Check if user has required fields
-    if (!userData || !userData.login || !userData.email) {
-      return false;
-    }
-
-    // Check if user is not staff
-    if (userData['staff?']) {
-      return false;
-    }
-
-    // Check if user has active cursus (using cursus_users array)
-    if (!userData.cursus_users || userData.cursus_users.length === 0) {
-      return false;
-    }
-
-    // Check if user has at least one active campus
-    if (!userData.campus || userData.campus.length === 0) {
-      return false;
-    }
-
-    // Additional validation: check if user is active
-    if (userData['active?'] === false) {
-      return false;
-    }
-
-    // Additional validation: check if user has a valid pool year (indicating they're a student)
-    if (!userData.pool_year && !userData.pool_month) {
-      // This might be too strict, so we'll keep it as a warning
-      console.warn(`User ${userData.login} has no pool year/month - might be a staff member`);
-    }
-
-    return true;
+    return this.checkEligibility(userData).eligible;
   }
 
   /**
@@ -262,25 +540,25 @@ class FortyTwoAPI {
   }
 
   /**
-   * Create a comprehensive user summary
+   * Extract the campus and cursus data kept in the verified member registry
+   * This is all that is stored from a 42 account: never its email, name or picture.
    * @param {Object} userData - User data from 42 API
-   * @returns {Object} - User summary
+   * @returns {Object} - Member profile
    */
-  createUserSummary(userData) {
+  createMemberProfile(userData) {
     return {
       login: userData.login,
-      displayName: userData.displayname,
-      email: userData.email,
-      campus: this.getPrimaryCampus(userData),
-      cursus: this.getPrimaryCursus(userData),
-      level: this.getCurrentLevel(userData),
+      campus: (userData.campus || []).map(campus => ({
+        id: campus.id,
+        name: campus.name
+      })),
+      cursus: (userData.cursus_users || []).map(cursusUser => ({
+        id: cursusUser.cursus?.id,
+        name: cursusUser.cursus?.name,
+        endAt: cursusUser.end_at
+      })),
       poolYear: userData.pool_year,
-      poolMonth: userData.pool_month,
-      correctionPoints: userData.correction_point,
-      wallet: userData.wallet,
-      isStaff: userData['staff?'] || false,
-      imageUrl: userData.image_url,
-      location: userData.location
+      poolMonth: userData.pool_month
     };
   }
 }
@@ -0,0 +1,164 @@
+const { buildPolicy } = require('./policy');
+const { buildRules } = require('./rules');
+const { buildRoleMapping } = require('./auto-roles');
+const { debugLog } = require('./debug');
+
+/**
+ * Settings each guild can change with /admin config
+ *
+ * - roleId: role given to verified members (a guild without one is not set up and ignored)
+ * - modRoleId: role allowed to use /mod, on top of administrators
+ * - auditLogChannelId / reportChannelId: audit log and re-validation report channels
+ * - auditLogHideLogin: leave 42 logins out of the audit log channel
+ * - unverifiedAction / unverifiedRoleId: grace period action for members who never verify
+ * - locale: language for members whose own language is unknown (default: the server's language)
+ * - policy / rules: eligibility policy and rules overrides, on top of the defaults
+ * - roleMapping: campus, cursus and cohort auto-roles (see auto-roles.js)
+ */
+const GUILD_SETTINGS = [
+  'roleId',
+  'modRoleId',
+  'auditLogChannelId',
+  'auditLogHideLogin',
+  'reportChannelId',
+  'unverifiedAction',
+  'unverifiedRoleId',
+  'locale',
+  'policy',
+  'rules',
+  'roleMapping'
+];
+
+/**
+ * Get the settings of a guild before any /admin config change
+ * The guild from DISCORD_GUILD_ID keeps the environment settings it used before multi-guild support,
+ * other guilds start without a role and wait for an administrator to set one.
+ * @param {string} guildId - Discord guild ID
+ * @returns {Object} - Default guild config, without policy and rules
+ */
+function getDefaultGuildConfig(guildId) {
+  // Every guild starts from AUDIT_LOG_HIDE_LOGIN, a privacy choice made for the whole bot
+  const auditLogHideLogin = process.env.AUDIT_LOG_HIDE_LOGIN === 'true' || process.env.AUDIT_LOG_HIDE_LOGIN === '1';
+
+  if (guildId !== process.env.DISCORD_GUILD_ID) {
+    return {
+      guildId,
+      roleId: null,
+      modRoleId: null,
+      auditLogChannelId: null,
+      auditLogHideLogin,
+      reportChannelId: null,
+      unverifiedAction: 'none',
+      unverifiedRoleId: null,
+      locale: null
+    };
+  }
+
+  return {
+    guildId,
+    roleId: process.env.DISCORD_42_ROLE_ID || null,
+    modRoleId: process.env.DISCORD_MOD_ROLE_ID || null,
+    auditLogChannelId: process.env.AUDIT_LOG_CHANNEL_ID || null,
+    auditLogHideLogin,
+    reportChannelId: process.env.REVALIDATION_REPORT_CHANNEL_ID || null,
+    unverifiedAction: ['kick', 'role'].includes(process.env.UNVERIFIED_ACTION) ? process.env.UNVERIFIED_ACTION : 'none',
+    unverifiedRoleId: process.env.UNVERIFIED_ROLE_ID || null,
+    locale: null
+  };
+}
+
+/**
+ * Get the effective settings of a guild: its /admin config changes on top of the defaults
+ * The roles.json mapping names Queernel's roles, so other guilds start without auto-roles.
+ * @param {Object} context - Shared bot services
+ * @param {Object} context.store - Verification store
+ * @param {Object} context.policy - Default eligibility policy
+ * @param {Object} context.rules - Default rules
+ * @param {Object} context.roleMapping - Auto-role mapping of the guild from DISCORD_GUILD_ID
+ * @param {string} guildId - Discord guild ID
+ * @returns {Promise<Object>} - Guild config
+ */
+async function getGuildConfig({ store, policy, rules, roleMapping }, guildId) {
+  const overrides = await store.getGuildConfig(guildId) || {};
+  const config = {
+    ...getDefaultGuildConfig(guildId),
+    policy,
+    rules,
+    roleMapping: guildId === process.env.DISCORD_GUILD_ID && roleMapping ? roleMapping : buildRoleMapping({})
+  };
+
+  for (const key of GUILD_SETTINGS) {
+    if (overrides[key] !== undefined) {
+      config[key] = overrides[key];
+    }
+  }
+  if (overrides.policy) {
+    config.policy = buildPolicy(overrides.policy);
+  }
+  if (overrides.rules) {
+    config.rules = buildRules(overrides.rules);
+  }
+  if (overrides.roleMapping) {
+    config.roleMapping = buildRoleMapping(overrides.roleMapping);
+  }
+  return config;
+}
+
+/**
+ * Check if a guild is set up for verification
+ * @param {Object} config - Guild config
+ * @returns {boolean} - True if the guild has a verified role
+ */
+function isGuildConfigured(config) {
+  return !!config.roleId;
+}
+
+/**
+ * Change one setting of a guild, or go back to its default with a null value
+ * @param {Object} store - Verification store
+ * @param {string} guildId - Discord guild ID
+ * @param {string} key - One of GUILD_SETTINGS
+ * @param {*} value - New value, or null to reset
+ * @param {string} updatedBy - Discord user ID of the administrator
+ * @returns {Promise<Object>} - Stored overrides
+ */
+async function setGuildSetting(store, guildId, key, value, updatedBy) {
+  if (!GUILD_SETTINGS.includes(key)) {
+    throw new Error(`Unknown guild setting: ${key}`);
+  }
+
+  const overrides = await store.getGuildConfig(guildId) || { guildId };
+  if (value === null) {
+    delete overrides[key];
+  } else {
+    overrides[key] = value;
+  }
+
+  debugLog('Guild Setting Changed', { guildId, key, reset: value === null, updatedBy });
+  return store.saveGuildConfig({ ...overrides, updatedAt: Date.now(), updatedBy });
+}
+
+/**
+ * List the guilds the bot is in that are set up for verification
+ * @param {Object} context - Shared bot services
+ * @returns {Promise<Array<Object>>} - [{ guild, config }]
+ */
+async function listConfiguredGuilds(context) {
+  const guilds = [];
+  for (const guild of context.client.guilds.cache.values()) {
+    const config = await getGuildConfig(context, guild.id);
+    if (isGuildConfigured(config)) {
+      guilds.push({ guild, config });
+    }
+  }
+  return guilds;
+}
+
+module.exports = {
+  GUILD_SETTINGS,
+  getDefaultGuildConfig,
+  getGuildConfig,
+  isGuildConfigured,
+  setGuildSetting,
+  listConfiguredGuilds
+};
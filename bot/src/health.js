@@ -0,0 +1,129 @@
+const { Status, PermissionFlagsBits } = require('discord.js');
+const { debugLog } = require('./debug');
+const { listConfiguredGuilds } = require('./guild-config');
+
+// A readiness probe should never hang longer than the container health check
+const CHECK_TIMEOUT = 5 * 1000;
+
+// Checks the callback server cannot work without, the others only affect some guilds or verifications
+const CRITICAL_CHECKS = ['gateway', 'store'];
+
+/**
+ * Describe whether the bot can give a role: the checks logged as "Role Assignment Debug"
+ * @param {Guild} guild - Discord guild
+ * @param {string} roleId - Role to assign
+ * @returns {Object} - { ok, error?, role?, botHighestRole?, canManageRoles, botCanManageTargetRole }
+ */
+function getRoleAssignmentStatus(guild, roleId) {
+  const role = guild.roles.cache.get(roleId);
+  const botMember = guild.members.me;
+  if (!role) {
+    return { ok: false, error: `Role ${roleId} not found`, canManageRoles: false, botCanManageTargetRole: false };
+  }
+  if (!botMember) {
+    return { ok: false, error: 'Bot member not cached', role, canManageRoles: false, botCanManageTargetRole: false };
+  }
+
+  const botHighestRole = botMember.roles.highest;
+  const canManageRoles = botMember.permissions.has(PermissionFlagsBits.ManageRoles);
+  const botCanManageTargetRole = botHighestRole.position > role.position;
+
+  let error;
+  if (!canManageRoles) {
+    error = 'Bot is missing the ManageRoles permission';
+  } else if (!botCanManageTargetRole) {
+    error = `Bot's highest role "${botHighestRole.name}" is not above "${role.name}"`;
+  }
+
+  return { ok: !error, error, role, botHighestRole, canManageRoles, botCanManageTargetRole };
+}
+
+/**
+ * Run a check with a timeout
+ * @param {Function} check - Async function returning details or throwing
+ * @returns {Promise<Object>} - { ok, ...details } or { ok: false, error }
+ */
+async function runCheck(check) {
+  let timer;
+  try {
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${CHECK_TIMEOUT}ms`)), CHECK_TIMEOUT);
+    });
+    return { ok: true, ...await Promise.race([check(), timeout]) };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Check everything the bot needs to verify members, in every set up guild
+ * Only the critical checks decide readiness: a misconfigured guild or a 42 API outage marks the bot
+ * degraded, so the callback server keeps serving the other guilds.
+ * @param {Object} context - Shared bot services
+ * @returns {Promise<Object>} - { ready, degraded, checks: { name: { ok, error? } } }
+ */
+async function checkReadiness(context) {
+  const { client, store, fortyTwoAPI } = context;
+  const guilds = await listConfiguredGuilds(context).catch(() => []);
+
+  const checks = {
+    gateway: await runCheck(async () => {
+      if (client.ws.status !== Status.Ready) {
+        throw new Error(`Gateway status is ${Status[client.ws.status] ?? client.ws.status}`);
+      }
+      return { ping: client.ws.ping };
+    }),
+    guild: await runCheck(async () => {
+      if (guilds.length === 0) {
+        throw new Error('No guild is set up for verification');
+      }
+      return { names: guilds.map(({ guild }) => guild.name) };
+    }),
+    manageRoles: await runCheck(async () => {
+      const missing = guilds.filter(({ guild }) => !guild.members.me?.permissions.has(PermissionFlagsBits.ManageRoles));
+      if (missing.length > 0) {
+        throw new Error(`Bot is missing the ManageRoles permission in ${missing.map(({ guild }) => guild.name).join(', ')}`);
+      }
+      return {};
+    }),
+    roleHierarchy: await runCheck(async () => {
+      const roles = {};
+      for (const { guild, config } of guilds) {
+        const status = getRoleAssignmentStatus(guild, config.roleId);
+        if (!status.ok) {
+          throw new Error(`${guild.name}: ${status.error}`);
+        }
+        roles[guild.id] = { botHighestRole: status.botHighestRole.name, targetRole: status.role.name };
+      }
+      return { roles };
+    }),
+    store: await runCheck(async () => ({ pendingVerifications: await store.countPendingVerifications() })),
+    fortyTwoApi: await runCheck(async () => {
+      await fortyTwoAPI.getAppToken();
+      return {};
+    })
+  };
+
+  const ready = CRITICAL_CHECKS.every(name => checks[name].ok);
+  const degraded = ready && Object.values(checks).some(check => !check.ok);
+  debugLog('Readiness Check', { ready, degraded, checks });
+  return { ready, degraded, checks };
+}
+
+/**
+ * Reduce readiness checks to their outcome, for callers without the METRICS_TOKEN
+ * Details name guilds and roles, which the public callback domain should not reveal.
+ * @param {Object} checks - Readiness checks
+ * @returns {Object} - { name: { ok } }
+ */
+function summarizeChecks(checks) {
+  return Object.fromEntries(Object.entries(checks).map(([name, check]) => [name, { ok: check.ok }]));
+}
+
+module.exports = {
+  getRoleAssignmentStatus,
+  summarizeChecks,
+  checkReadiness
+};
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { debugLog } = require('./debug');
+
+// Every locales/<code>.json file is a supported language
+const LOCALES_PATH = path.join(__dirname, '..', 'locales');
+const catalogs = Object.fromEntries(
+  fs.readdirSync(LOCALES_PATH)
+    .filter(filename => filename.endsWith('.json'))
+    .map(filename => [path.basename(filename, '.json'), JSON.parse(fs.readFileSync(path.join(LOCALES_PATH, filename), 'utf8'))])
+);
+
+const SUPPORTED_LOCALES = Object.keys(catalogs);
+const FALLBACK_LOCALE = 'en';
+
+/**
+ * Get the default locale, used when nothing better is known about the member
+ * @returns {string} - Locale code
+ */
+function getDefaultLocale() {
+  const locale = process.env.DEFAULT_LOCALE;
+  return locale && catalogs[locale] ? locale : FALLBACK_LOCALE;
+}
+
+/**
+ * Pick the first supported locale among candidates
+ * Discord locales such as 'en-US' or 'fr' are matched on their language part.
+ * @param {...(string|null|undefined)} candidates - Locale candidates, by preference
+ * @returns {string} - Supported locale code
+ */
+function resolveLocale(...candidates) {
+  for (const candidate of candidates) {
+    if (!candidate || typeof candidate !== 'string') continue;
+    const language = candidate.toLowerCase().split(/[-_]/)[0];
+    if (catalogs[language]) {
+      return language;
+    }
+  }
+  return getDefaultLocale();
+}
+
+/**
+ * Look up a dotted key in a catalog
+ * @param {Object} catalog - Locale catalog
+ * @param {string} key - Dotted key, e.g. 'embeds.welcome.title'
+ * @returns {*} - Value or undefined
+ */
+function lookup(catalog, key) {
+  return key.split('.').reduce((value, part) => value?.[part], catalog);
+}
+
+/**
+ * Translate a key, falling back to English, then to the key itself
+ * @param {string} locale - Locale code
+ * @param {string} key - Dotted key
+ * @param {Object} params - Values replacing {name} placeholders
+ * @returns {string} - Translated string
+ */
+function t(locale, key, params = {}) {
+  let value = lookup(catalogs[locale], key) ?? lookup(catalogs[FALLBACK_LOCALE], key);
+  if (typeof value !== 'string') {
+    debugLog('Missing Translation', { locale, key });
+    value = key;
+  }
+  return value.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Get a whole section of a catalog, e.g. 'pages', with English fallbacks for missing strings
+ * @param {string} locale - Locale code
+ * @param {string} section - Top-level section
+ * @returns {Object} - Section strings
+ */
+function getSection(locale, section) {
+  const merge = (fallback, value) => {
+    if (typeof fallback !== 'object' || fallback === null) {
+      return value ?? fallback;
+    }
+    return Object.fromEntries(Object.keys(fallback).map(key => [key, merge(fallback[key], value?.[key])]));
+  };
+  return merge(catalogs[FALLBACK_LOCALE][section], catalogs[locale]?.[section]);
+}
+
+/**
+ * List the supported languages with their own names
+ * @returns {Array<Object>} - [{ code, name }]
+ */
+function getLanguages() {
+  return SUPPORTED_LOCALES.map(code => ({ code, name: catalogs[code].languageName || code }));
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  getDefaultLocale,
+  resolveLocale,
+  t,
+  getSection,
+  getLanguages
+};
@@ -1,25 +1,57 @@
 require('dotenv').config();
-const { Client, GatewayIntentBits, Events, EmbedBuilder, REST, Routes } = require('discord.js');
+const { Client, GatewayIntentBits, Events, EmbedBuilder } = require('discord.js');
 const express = require('express');
 const crypto = require('crypto');
 
 // Import custom modules
 const FortyTwoAPI = require('./fortytwo-api');
+const { createStore, LOGIN_ALREADY_LINKED } = require('./store');
+const { createLoginAlreadyLinkedError } = require('./store/errors');
+const { loadPolicy } = require('./policy');
+const { loadRoleMapping, reconcileAutoRoles } = require('./auto-roles');
 const { 
   createWelcomeEmbed, 
+  createDmFailedEmbed,
   createSuccessEmbed, 
   createErrorEmbed,
   cleanupExpiredVerifications,
-  generateState,
-  createAuthUrl
+  verifyState
 } = require('./utils');
+const { startVerification } = require('./verification');
+const { sendPage, sendErrorPage } = require('./views');
+const { createRulesSession, setSessionCookie, clearSessionCookie, checkRulesSession, safeEqual } = require('./session');
+const { t, resolveLocale } = require('./i18n');
+const { UNCONFIGURED_REPLY, registerCommands, handleCommand } = require('./commands');
+const { scheduleRevalidation } = require('./revalidation');
+const { scheduleReminders } = require('./reminders');
+const { VERIFY_BUTTON_ID, handleVerifyButton } = require('./verify-panel');
+const { handleReturningMember, recordBan, recordUnban, recordLeave } = require('./rejoin');
+const { applyRetention } = require('./privacy');
+const { PRIVACY_DELETE_BUTTON_ID, handleDeleteButton } = require('./commands/privacy');
+const {
+  loadRules,
+  getLocalizedSection,
+  completeRulesReacceptance,
+  parseReacceptButtonId,
+  handleReacceptButton,
+  scheduleRulesCampaign
+} = require('./rules');
+const { getGuildConfig, isGuildConfigured } = require('./guild-config');
 const { debugLog, debugDiscordEvent, debugVerification, debugOAuth2Flow } = require('./debug');
+const { logger, runWithLogContext, addLogContext, createVerificationId } = require('./logger');
+const metrics = require('./metrics');
+const { getRoleAssignmentStatus, checkReadiness, summarizeChecks } = require('./health');
+const { EVENT_TYPES, emitVerificationEvent } = require('./events');
+const { registerAuditLog } = require('./audit-log');
+const { registerWebhooks } = require('./webhooks');
+const { registerEventHistory, pruneEventHistory, registerDashboard } = require('./dashboard');
 
 // Initialize Discord client
 const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMembers,
+    GatewayIntentBits.GuildModeration,
     GatewayIntentBits.GuildMessages,
     GatewayIntentBits.DirectMessages
   ]
@@ -29,64 +61,50 @@ const client = new Client({
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Rules pages submit HTML forms
+app.use(express.urlencoded({ extended: false }));
+
+// Each request gets its own log context, filled with the verification ID once the state is known
+app.use((req, res, next) => runWithLogContext({}, next));
+
+// Default eligibility policy, each guild can override it with /admin config
+const policy = loadPolicy();
+
 // Initialize 42 API
 const fortyTwoAPI = new FortyTwoAPI(
   process.env.FORTYTWO_CLIENT_ID,
-  process.env.FORTYTWO_CLIENT_SECRET
+  process.env.FORTYTWO_CLIENT_SECRET,
+  {
+    requestsPerSecond: Number(process.env.FORTYTWO_RATE_LIMIT_PER_SECOND) || undefined,
+    requestsPerHour: Number(process.env.FORTYTWO_RATE_LIMIT_PER_HOUR) || undefined,
+    maxRetries: process.env.FORTYTWO_MAX_RETRIES ? Number(process.env.FORTYTWO_MAX_RETRIES) : undefined,
+    policy
+  }
 );
 
-// Store pending verifications (in production, use a proper database)
-const pendingVerifications = new Map();
+// Store pending verifications (SQLite by default, see STORE_DRIVER)
+const store = createStore();
+metrics.registerStoreGauges(store);
 
-// Remove slash commands
-async function removeCommands() {
-  try {
-    const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
-    
-    debugLog('Starting command removal');
-    console.log('Started removing application (/) commands.');
+// Campus, cursus and cohort roles given on top of the 42 role in the DISCORD_GUILD_ID guild,
+// each guild can set its own with /admin config
+const roleMapping = loadRoleMapping();
 
-    // First, get existing commands to see what we're removing
-    try {
-      const guildCommands = await rest.get(
-        Routes.applicationGuildCommands(process.env.DISCORD_CLIENT_ID, process.env.DISCORD_GUILD_ID)
-      );
-      const globalCommands = await rest.get(
-        Routes.applicationCommands(process.env.DISCORD_CLIENT_ID)
-      );
-      
-      console.log(`Found ${guildCommands.length} guild commands and ${globalCommands.length} global commands to remove`);
-      debugLog('Existing commands found', { 
-        guildCommands: guildCommands.length,
-        globalCommands: globalCommands.length,
-        guildCommandNames: guildCommands.map(cmd => cmd.name),
-        globalCommandNames: globalCommands.map(cmd => cmd.name)
-      });
-    } catch (error) {
-      console.log('Could not fetch existing commands:', error.message);
-    }
+// Default versioned rules members accept on the rules pages, each guild can override them with /admin config
+const rules = loadRules();
 
-    // Remove all commands for the specific guild
-    await rest.put(
-      Routes.applicationGuildCommands(process.env.DISCORD_CLIENT_ID, process.env.DISCORD_GUILD_ID),
-      { body: [] }
-    );
+// Services shared with commands and background jobs
+const context = { client, store, fortyTwoAPI, roleMapping, policy, rules };
 
-    // Also remove global commands (in case any were registered globally)
-    await rest.put(
-      Routes.applicationCommands(process.env.DISCORD_CLIENT_ID),
-      { body: [] }
-    );
+// Post verification events to the moderators' audit log channel
+registerAuditLog(context);
 
-    debugLog('Command removal successful', { 
-      guildId: process.env.DISCORD_GUILD_ID
-    });
-    console.log('Successfully removed all guild and global (/) commands.');
-  } catch (error) {
-    debugLog('Command removal failed', { error: error.message });
-    console.error('Error removing commands:', error);
-  }
-}
+// Notify other tools of verifications and revocations, when WEBHOOK_URLS is set
+registerWebhooks(context);
+
+// Keep failures and declines for the dashboard, served on /dashboard when Discord login is configured
+registerEventHistory(context);
+registerDashboard(app, context);
 
 // Discord bot events
 client.once(Events.ClientReady, async () => {
@@ -95,29 +113,140 @@ client.once(Events.ClientReady, async () => {
     botId: client.user.id,
     guildCount: client.guilds.cache.size
   });
-  console.log(`Logged in as ${client.user.tag}`);
-  console.log(`Bot is ready to verify 42 students!`);
+  logger.info('Bot is ready to verify 42 students', { botTag: client.user.tag, botId: client.user.id });
   
-  // Remove slash commands
-  await removeCommands();
+  // Register slash commands in every guild the bot is in
+  await registerCommands(client.guilds.cache.map(guild => guild.id));
   
   // Set up periodic cleanup of expired verifications
-  setInterval(() => {
-    const beforeCount = pendingVerifications.size;
-    cleanupExpiredVerifications(pendingVerifications);
-    const afterCount = pendingVerifications.size;
-    if (beforeCount !== afterCount) {
-      debugLog(`Cleaned up ${beforeCount - afterCount} expired verifications`);
+  setInterval(async () => {
+    try {
+      const cleanedCount = await cleanupExpiredVerifications(store);
+      if (cleanedCount > 0) {
+        debugLog(`Cleaned up ${cleanedCount} expired verifications`);
+      }
+      const prunedCount = await pruneEventHistory(store);
+      if (prunedCount > 0) {
+        debugLog(`Pruned ${prunedCount} old verification events`);
+      }
+      await applyRetention(store);
+    } catch (error) {
+      logger.error('Error cleaning up expired verifications', { error });
     }
   }, 5 * 60 * 1000); // Clean up every 5 minutes
+
+  // Periodically re-check verified members against their 42 status
+  scheduleRevalidation(context);
+
+  // Ask members to re-accept when a new rules version is published
+  scheduleRulesCampaign(context);
+
+  // Remind newcomers who have not verified, then kick or restrict them after the grace period
+  scheduleReminders(context);
 });
 
+// Register the commands of guilds added after the start, so administrators can set them up
+client.on(Events.GuildCreate, async (guild) => {
+  logger.info('Joined a new guild', { guildId: guild.id, guildName: guild.name });
+  await registerCommands([guild.id], { clearGlobal: false });
+});
+
+// Handle slash commands and buttons
+client.on(Events.InteractionCreate, (interaction) => runWithLogContext({ discordUserId: interaction.user.id, guildId: interaction.guildId }, async () => {
+  try {
+    await handleInteraction(interaction);
+  } catch (error) {
+    logger.error('Interaction error', { error });
+    if (!interaction.isRepliable()) return;
+
+    const reply = { content: 'Something went wrong, please try again.', ephemeral: true };
+    if (interaction.replied || interaction.deferred) {
+      await interaction.followUp(reply).catch(() => {});
+    } else {
+      await interaction.reply(reply).catch(() => {});
+    }
+  }
+}));
+
+/**
+ * Route a slash command or button interaction to its handler
+ * @param {Interaction} interaction - Discord interaction
+ */
+async function handleInteraction(interaction) {
+  // Sent in DMs, so the guild comes from the button
+  const reacceptGuildId = interaction.isButton() ? parseReacceptButtonId(interaction.customId) : null;
+  if (reacceptGuildId) {
+    try {
+      addLogContext({ guildId: reacceptGuildId });
+      const guildConfig = await getGuildConfig(context, reacceptGuildId);
+      await handleReacceptButton(interaction, { ...context, guildConfig });
+    } catch (error) {
+      logger.error('Rules button error', { error });
+    }
+    return;
+  }
+
+  if (!interaction.inGuild()) return;
+
+  // Every handler gets the settings of the guild the interaction comes from
+  const guildConfig = await getGuildConfig(context, interaction.guildId);
+  const guildContext = { ...context, guildConfig };
+
+  // "Verify with 42" button of the panels posted by /setup-verify-panel
+  if (interaction.isButton() && interaction.customId === VERIFY_BUTTON_ID) {
+    if (!isGuildConfigured(guildConfig)) {
+      debugLog('Verify Button In Unconfigured Guild', { guildId: interaction.guildId });
+      return interaction.reply(UNCONFIGURED_REPLY);
+    }
+    try {
+      await handleVerifyButton(interaction, guildContext);
+    } catch (error) {
+      logger.error('Verify button error', { error });
+      await interaction.reply({ content: 'Something went wrong, please try again.', ephemeral: true }).catch(() => {});
+    }
+    return;
+  }
+
+  // Confirmation of /privacy delete, in any server
+  if (interaction.isButton() && interaction.customId === PRIVACY_DELETE_BUTTON_ID) {
+    try {
+      await handleDeleteButton(interaction, guildContext);
+    } catch (error) {
+      logger.error('Privacy button error', { error });
+      const locale = resolveLocale(interaction.locale, guildConfig.locale, interaction.guildLocale);
+      await interaction.followUp({ content: t(locale, 'replies.privacy.failed'), ephemeral: true }).catch(() => {});
+    }
+    return;
+  }
+
+  if (!interaction.isChatInputCommand()) return;
+
+  await handleCommand(interaction, guildContext);
+}
 
 
 // Handle new member joins
-client.on(Events.GuildMemberAdd, async (member) => {
-  // Only process if it's the Queernel server
-  if (member.guild.id !== process.env.DISCORD_GUILD_ID) return;
+client.on(Events.GuildMemberAdd, (member) => {
+  // One verification ID follows the member from the join to the rules acceptance
+  const verificationId = createVerificationId();
+  return runWithLogContext(
+    { verificationId, guildId: member.guild.id, discordUserId: member.user.id },
+    () => handleMemberJoin(member, verificationId)
+      .catch(error => logger.error('Error handling member join', { error }))
+  );
+});
+
+/**
+ * Send a new member their verification link
+ * @param {GuildMember} member - Member who joined
+ * @param {string} verificationId - Correlation ID of the verification
+ */
+async function handleMemberJoin(member, verificationId) {
+  // Only process guilds set up for verification
+  const guildConfig = await getGuildConfig(context, member.guild.id);
+  if (!isGuildConfigured(guildConfig)) return;
+
+  metrics.memberJoins.inc();
 
   debugDiscordEvent('Guild Member Add', {
     userId: member.user.id,
@@ -126,77 +255,131 @@ client.on(Events.GuildMemberAdd, async (member) => {
     guildName: member.guild.name
   });
 
-  console.log(`New member joined: ${member.user.tag} (${member.user.id})`);
+  logger.info('New member joined', { discordUsername: member.user.tag });
 
   // Check if user already has the 42 role
-  const hasRole = member.roles.cache.has(process.env.DISCORD_42_ROLE_ID);
+  const hasRole = member.roles.cache.has(guildConfig.roleId);
   if (hasRole) {
     debugVerification('Skip - Already has role', member.user.id, { hasRole });
-    console.log(`${member.user.tag} already has the 42 role, skipping verification`);
+    logger.info('Member already has the 42 role, skipping verification');
     return;
   }
 
-  // Generate state parameter for OAuth2 security
-  const state = generateState();
-  
-  // Store the verification attempt
-  pendingVerifications.set(state, {
-    discordUserId: member.user.id,
-    discordUsername: member.user.tag,
-    timestamp: Date.now()
-  });
-
-  debugVerification('Verification Started', member.user.id, { 
-    state,
-    pendingVerificationsCount: pendingVerifications.size 
-  });
+  // Members coming back with a stored link skip the OAuth flow, banned or revoked ones get no welcome
+  const returning = await handleReturningMember({ ...context, guildConfig }, member);
+  if (returning !== 'newcomer') {
+    debugVerification('Skip - Returning member', member.user.id, { outcome: returning });
+    return;
+  }
 
-  // Create OAuth2 authorization URL
-  const authUrl = createAuthUrl(
-    process.env.FORTYTWO_CLIENT_ID,
-    process.env.FORTYTWO_REDIRECT_URI,
-    state
-  );
+  // Members have no locale outside interactions, use the server's language
+  const locale = resolveLocale(guildConfig.locale, member.guild.preferredLocale);
+  const { authUrl } = await startVerification(store, member.user, { guildId: member.guild.id, locale, verificationId });
 
-  debugOAuth2Flow('Authorization URL Created', { 
-    state,
-    redirectUri: process.env.FORTYTWO_REDIRECT_URI,
-    hasAuthUrl: !!authUrl 
+  // Track the newcomer for reminders until they verify or leave
+  await store.saveUnverifiedMember({
+    guildId: member.guild.id,
+    discordUserId: member.user.id,
+    discordUsername: member.user.tag,
+    joinedAt: member.joinedTimestamp || Date.now(),
+    locale,
+    remindersSent: 0
   });
 
   // Create welcome embed
-  const welcomeEmbed = createWelcomeEmbed(member.user, authUrl);
+  const welcomeEmbed = createWelcomeEmbed(member.user, authUrl, locale);
 
   try {
     // Send welcome message with verification link
     await member.send({ embeds: [welcomeEmbed] });
+    metrics.directMessages.inc({ type: 'welcome', result: 'sent' });
     debugVerification('Welcome DM Sent', member.user.id, { success: true });
-    console.log(`Sent verification link to ${member.user.tag}`);
+    logger.info('Verification link sent', { via: 'dm' });
   } catch (error) {
+    metrics.directMessages.inc({ type: 'welcome', result: 'failed' });
     debugVerification('Welcome DM Failed', member.user.id, { error: error.message });
-    console.error(`Could not send DM to ${member.user.tag}:`, error.message);
+    logger.warn('Could not send verification DM', { error });
     
     // If DM fails, try to send in a public channel
     const guild = member.guild;
     const systemChannel = guild.systemChannel;
     
     if (systemChannel) {
-      const publicEmbed = new EmbedBuilder()
-        .setColor('#ff9900')
-        .setTitle('Welcome Message')
-        .setDescription(`${member.user}, I couldn't send you a DM. Please enable DMs from server members to receive your verification link.`)
-        .setFooter({ text: 'Queernel Bot' })
-        .setTimestamp();
-      
-      await systemChannel.send({ embeds: [publicEmbed] });
+      await systemChannel.send({ embeds: [createDmFailedEmbed(member.user, locale)] });
       debugVerification('Public Welcome Sent', member.user.id, { channelId: systemChannel.id });
     }
   }
+}
+
+// Remember bans, so a banned member's link is not restored if they come back
+client.on(Events.GuildBanAdd, async (ban) => {
+  try {
+    await recordBan(store, ban);
+  } catch (error) {
+    logger.error('Error recording ban', { error });
+  }
 });
 
+// Remember lifted bans, for the moderators reviewing a refused rejoin
+client.on(Events.GuildBanRemove, async (ban) => {
+  try {
+    await recordUnban(store, ban);
+  } catch (error) {
+    logger.error('Error recording unban', { error });
+  }
+});
+
+// Stop reminding members who left and start the retention period of their link
+client.on(Events.GuildMemberRemove, async (member) => {
+  try {
+    if (await store.deleteUnverifiedMember(member.guild.id, member.user.id)) {
+      debugVerification('Unverified Member Left', member.user.id);
+    }
+    // Links of departed members are deleted after DATA_RETENTION_DAYS
+    await recordLeave(store, member);
+  } catch (error) {
+    logger.error('Error handling member leave', { error });
+  }
+});
+
+/**
+ * Pick the language of a web page: ?lang= toggle, then the member's locale, then the browser's
+ * @param {Request} req - Express request
+ * @param {Object|null} verification - Pending verification
+ * @returns {string} - Locale code
+ */
+function getPageLocale(req, verification = null) {
+  return resolveLocale(req.query.lang, verification?.locale, ...req.acceptsLanguages());
+}
+
+/**
+ * Show the error page when an async route throws
+ * Express 4 does not catch rejected promises: the request would hang and the rejection crash the process.
+ * @param {Function} handler - Async route handler
+ * @returns {Function} - Express route handler
+ */
+function handle(handler) {
+  return async (req, res, next) => {
+    try {
+      await handler(req, res, next);
+    } catch (error) {
+      logger.error('Route error', { path: req.path, error });
+      if (res.headersSent) return;
+
+      const locale = getPageLocale(req);
+      res.status(500);
+      sendErrorPage(res, locale, {
+        message: t(locale, 'pages.error.failed', { error: error.message }),
+        hint: t(locale, 'pages.error.tryAgainOrContact')
+      });
+    }
+  };
+}
+
 // Express routes for OAuth2 callback
-app.get('/auth/callback', async (req, res) => {
+app.get('/auth/callback', handle(async (req, res) => {
   const { code, state, error } = req.query;
+  metrics.oauthCallbacks.inc();
 
   debugOAuth2Flow('Callback Received', { 
     hasCode: !!code,
@@ -207,54 +390,48 @@ app.get('/auth/callback', async (req, res) => {
 
   if (error) {
     debugOAuth2Flow('Callback Error', { error });
-    return res.send(`
-      <html>
-        <head><title>Verification Failed</title></head>
-        <body>
-          <h1>❌ Verification Failed</h1>
-          <p>Error: ${error}</p>
-          <p>Please try again or contact an administrator.</p>
-        </body>
-      </html>
-    `);
+    const locale = getPageLocale(req);
+    return sendErrorPage(res, locale, {
+      message: t(locale, 'pages.error.providerError', { error }),
+      hint: t(locale, 'pages.error.tryAgainOrContact')
+    });
   }
 
   if (!code || !state) {
     debugOAuth2Flow('Callback Missing Parameters', { code: !!code, state: !!state });
-    return res.send(`
-      <html>
-        <head><title>Verification Failed</title></head>
-        <body>
-          <h1>❌ Verification Failed</h1>
-          <p>Missing authorization code or state parameter.</p>
-          <p>Please try again.</p>
-        </body>
-      </html>
-    `);
+    const locale = getPageLocale(req);
+    return sendErrorPage(res, locale, {
+      message: t(locale, 'pages.error.missingParameters'),
+      hint: t(locale, 'pages.error.tryAgain')
+    });
   }
 
-  // Verify state parameter
-  const verification = pendingVerifications.get(state);
-  if (!verification) {
-    debugOAuth2Flow('Invalid State Parameter', { state, pendingVerificationsCount: pendingVerifications.size });
-    return res.send(`
-      <html>
-        <head><title>Verification Failed</title></head>
-        <body>
-          <h1>❌ Verification Failed</h1>
-          <p>Invalid or expired verification request.</p>
-          <p>Please try joining the server again.</p>
-        </body>
-      </html>
-    `);
+  // Check the signature and expiry first, forged or stale states never reach the store
+  const signedState = verifyState(state);
+
+  // A state is single-use: claiming it moves the verification off the oauth_pending step, so a replay finds nothing
+  const verification = signedState ? await store.claimPendingVerification(state, 'oauth_pending', 'oauth_callback') : null;
+  if (!verification || verification.discordUserId !== signedState.discordUserId || verification.guildId !== signedState.guildId) {
+    debugOAuth2Flow('Invalid State Parameter', { state, signatureValid: !!signedState, claimed: !!verification });
+    const locale = getPageLocale(req);
+    return sendErrorPage(res, locale, {
+      message: t(locale, 'pages.error.invalidState'),
+      hint: t(locale, 'pages.error.tryJoiningAgain')
+    });
   }
 
+  addLogContext({ verificationId: verification.verificationId, guildId: verification.guildId, discordUserId: verification.discordUserId });
   debugVerification('State Validated', verification.discordUserId, { state });
+  const locale = getPageLocale(req, verification);
+  let login = null;
 
   try {
+    // Each guild checks members against its own policy
+    const guildConfig = await getGuildConfig(context, verification.guildId);
+
     // Exchange code for access token
-    debugOAuth2Flow('Starting Token Exchange', { code: code.substring(0, 10) + '...' });
-    const tokenResponse = await fortyTwoAPI.exchangeCodeForToken(code, process.env.FORTYTWO_REDIRECT_URI);
+    debugOAuth2Flow('Starting Token Exchange', { authorizationCode: code });
+    const tokenResponse = await fortyTwoAPI.exchangeCodeForToken(code, process.env.FORTYTWO_REDIRECT_URI, verification.codeVerifier);
     const { access_token } = tokenResponse;
 
     debugOAuth2Flow('Token Exchange Complete', { hasAccessToken: !!access_token });
@@ -262,36 +439,44 @@ app.get('/auth/callback', async (req, res) => {
     // Get user information from 42 API
     debugOAuth2Flow('Getting User Info');
     const userData = await fortyTwoAPI.getUserInfo(access_token);
+    login = userData.login;
     
-    debugVerification('User Info Retrieved', verification.discordUserId, {
-      login: userData.login,
-      displayName: userData.displayname,
-      email: userData.email
-    });
+    debugVerification('User Info Retrieved', verification.discordUserId, { login: userData.login });
     
-    // Validate student status
-    if (!fortyTwoAPI.validateStudentStatus(userData)) {
+    // Validate student status against the eligibility policy
+    const eligibility = fortyTwoAPI.checkEligibility(userData, guildConfig.policy);
+    if (!eligibility.eligible) {
+      for (const failure of eligibility.failures) {
+        metrics.validationRejections.inc({ reason: failure.rule });
+      }
       debugVerification('Student Validation Failed', verification.discordUserId, {
         login: userData.login,
-        isStaff: userData['staff?'],
-        hasCursus: !!userData.cursus_users?.length,
-        hasCampus: !!userData.campus?.length,
-        isActive: userData['active?']
+        failures: eligibility.failures
       });
-      throw new Error('User is not a valid 42 student or is staff');
+      throw new Error(eligibility.failures.map(failure => failure.message).join('; '));
     }
 
-    debugVerification('Student Validation Passed', verification.discordUserId, {
-      login: userData.login,
-      displayName: userData.displayname
-    });
+    debugVerification('Student Validation Passed', verification.discordUserId, { login: userData.login });
 
-    console.log(`42 user verified successfully`);
+    logger.info('42 account passed the eligibility policy', { login: userData.login });
+
+    // One 42 account can only be linked to one Discord account of a guild at a time
+    const existingLink = await store.getVerifiedMemberByLogin(verification.guildId, userData.login);
+    if (existingLink && existingLink.discordUserId !== verification.discordUserId) {
+      metrics.validationRejections.inc({ reason: 'loginAlreadyLinked' });
+      debugVerification('Duplicate 42 Account', verification.discordUserId, {
+        login: userData.login,
+        linkedDiscordUserId: existingLink.discordUserId
+      });
+      const error = createLoginAlreadyLinkedError(userData.login);
+      error.linkedDiscordUserId = existingLink.discordUserId;
+      throw error;
+    }
 
     // Find the member in the Discord server
-    const guild = client.guilds.cache.get(process.env.DISCORD_GUILD_ID);
+    const guild = client.guilds.cache.get(verification.guildId);
     if (!guild) {
-      debugVerification('Guild Not Found', verification.discordUserId, { guildId: process.env.DISCORD_GUILD_ID });
+      debugVerification('Guild Not Found', verification.discordUserId, { guildId: verification.guildId });
       throw new Error('Guild not found');
     }
 
@@ -301,193 +486,273 @@ app.get('/auth/callback', async (req, res) => {
       throw new Error('Member not found in guild');
     }
 
-    // Store user data for rules acceptance step
-    pendingVerifications.set(state, {
-      ...verification,
-      userData: userData,
-      step: 'rules_pending'
+    // Keep only the member profile for the rules step, bound to this browser
+    const session = createRulesSession();
+    await store.updatePendingVerification(state, {
+      profile: fortyTwoAPI.createMemberProfile(userData),
+      verifiedAt: Date.now(),
+      step: 'rules_pending',
+      codeVerifier: null,
+      ...session
     });
+    setSessionCookie(res, session.sessionId);
 
-    debugVerification('Rules Step Initiated', verification.discordUserId, {
-      login: userData.login,
-      displayName: userData.displayname
-    });
+    debugVerification('Rules Step Initiated', verification.discordUserId, { login: userData.login });
 
-    // Send rules acceptance page
-    res.send(`
-      <html>
-        <head>
-          <title>Queernel Rules - Accept to Continue</title>
-          <style>
-            body { 
-              font-family: Arial, sans-serif; 
-              text-align: center; 
-              padding: 50px; 
-              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-              color: white;
-              min-height: 100vh;
-              margin: 0;
-            }
-            .container { 
-              max-width: 600px; 
-              margin: 0 auto; 
-              background: rgba(255, 255, 255, 0.1);
-              padding: 40px;
-              border-radius: 15px;
-              backdrop-filter: blur(10px);
-              box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
-            }
-            .rules-box {
-              background: rgba(255, 255, 255, 0.2);
-              padding: 30px;
-              border-radius: 10px;
-              margin: 20px 0;
-              border: 2px solid rgba(255, 255, 255, 0.3);
-            }
-            .rule-text {
-              font-size: 18px;
-              font-weight: bold;
-              margin: 20px 0;
-              line-height: 1.6;
-            }
-            .buttons {
-              display: flex;
-              gap: 20px;
-              justify-content: center;
-              margin-top: 30px;
-            }
-            .btn {
-              padding: 15px 30px;
-              border: none;
-              border-radius: 8px;
-              font-size: 16px;
-              font-weight: bold;
-              cursor: pointer;
-              text-decoration: none;
-              display: inline-block;
-              transition: all 0.3s ease;
-            }
-            .btn-accept {
-              background: #4CAF50;
-              color: white;
-            }
-            .btn-accept:hover {
-              background: #45a049;
-              transform: translateY(-2px);
-            }
-            .btn-decline {
-              background: #f44336;
-              color: white;
-            }
-            .btn-decline:hover {
-              background: #da190b;
-              transform: translateY(-2px);
-            }
-            .welcome-text {
-              font-size: 24px;
-              margin-bottom: 20px;
-            }
-            .user-info {
-              background: rgba(255, 255, 255, 0.1);
-              padding: 15px;
-              border-radius: 8px;
-              margin: 20px 0;
-              font-size: 14px;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <h1>🎉 Welcome to Queernel!</h1>
-            <div class="welcome-text">You have been verified as a 42 student</div>
-            
-            <div class="user-info">
-              <strong>Status:</strong> ✅ Verified 42 Student
-            </div>
-
-            <div class="rules-box">
-              <h2>📋 Rules Acceptance Required</h2>
-              <div class="rule-text">
-                Je m'identifie comme queer / I identify as queer
-              </div>
-              <p>Please read and accept the rules above to continue with the verification process.</p>
-            </div>
-
-            <div class="buttons">
-              <a href="/auth/rules/accept?state=${state}" class="btn btn-accept">✅ Accept & Continue</a>
-              <a href="/auth/rules/decline?state=${state}" class="btn btn-decline">❌ Decline & Exit</a>
-            </div>
-          </div>
-        </body>
-      </html>
-    `);
+    // Show the rules on their own URL, so the page can be reloaded or translated without reusing the code
+    res.redirect(`/auth/rules?state=${encodeURIComponent(state)}&lang=${locale}`);
 
   } catch (error) {
     debugVerification('Verification Failed', verification.discordUserId, { error: error.message });
-    console.error('Verification error:', error.message);
+    logger.error('Verification error', { error });
+    emitVerificationEvent(EVENT_TYPES.FAILED, {
+      guildId: verification.guildId,
+      discordUserId: verification.discordUserId,
+      login,
+      step: 'oauth_callback',
+      reason: error.message,
+      code: error.code,
+      linkedDiscordUserId: error.linkedDiscordUserId
+    });
     
     // Clean up
-    pendingVerifications.delete(state);
-
-    res.send(`
-      <html>
-        <head><title>Verification Failed</title></head>
-        <body>
-          <h1>❌ Verification Failed</h1>
-          <p>An error occurred during verification: ${error.message}</p>
-          <p>Please try again or contact an administrator.</p>
-        </body>
-      </html>
-    `);
+    await store.deletePendingVerification(state);
+
+    sendErrorPage(res, locale, {
+      message: t(locale, 'pages.error.failed', { error: error.message }),
+      hint: t(locale, 'pages.error.tryAgainOrContact')
+    });
   }
-});
+}));
+
+/**
+ * Render the rules section a pending verification is currently on
+ * @param {Response} res - Express response
+ * @param {string} state - OAuth2 state parameter
+ * @param {Object} verification - Pending verification
+ * @param {Object} rules - Rules of the verification's guild
+ * @param {string} locale - Locale code
+ * @param {Object} options - { error, answer } to re-display a rejected submission
+ */
+function sendRulesPage(res, state, verification, rules, locale, { error, answer } = {}) {
+  const stepIndex = Math.min(verification.rulesStep || 0, rules.sections.length - 1);
+  const encodedState = encodeURIComponent(state);
+
+  sendPage(res, 'rules', {
+    state,
+    reaccept: verification.purpose === 'reaccept',
+    section: getLocalizedSection(rules, stepIndex, locale),
+    stepLabel: t(locale, 'pages.rules.step', { current: stepIndex + 1, total: rules.sections.length }),
+    isLast: stepIndex === rules.sections.length - 1,
+    csrfToken: verification.csrfToken,
+    acceptAction: '/auth/rules/accept',
+    declineAction: '/auth/rules/decline',
+    error,
+    answer
+  }, {
+    locale,
+    theme: 'rules',
+    languageUrl: (code) => `/auth/rules?state=${encodedState}&lang=${code}`
+  });
+}
 
-// Rules acceptance route
-app.get('/auth/rules/accept', async (req, res) => {
+// Rules page
+app.get('/auth/rules', handle(async (req, res) => {
   const { state } = req.query;
 
-  debugOAuth2Flow('Rules Acceptance Requested', { state });
+  const verification = state ? await store.getPendingVerification(state) : null;
+  if (!verification || verification.step !== 'rules_pending') {
+    debugOAuth2Flow('Invalid Rules State', { state, step: verification?.step });
+    const locale = getPageLocale(req);
+    return sendErrorPage(res, locale, {
+      title: t(locale, 'pages.error.genericTitle'),
+      message: t(locale, state ? 'pages.error.invalidState' : 'pages.error.missingState'),
+      hint: t(locale, 'pages.error.tryJoiningAgain')
+    });
+  }
+
+  addLogContext({ verificationId: verification.verificationId, guildId: verification.guildId, discordUserId: verification.discordUserId });
+
+  const locale = getPageLocale(req, verification);
+
+  // Re-acceptance links come from Discord, not from the callback: a link previewer or a forwarded
+  // link must not claim the session, so the member binds their browser with an explicit POST
+  if (!verification.sessionId) {
+    const encodedState = encodeURIComponent(state);
+    return sendPage(res, 'rules-start', {
+      state,
+      startAction: `/auth/rules/start?lang=${locale}`
+    }, {
+      locale,
+      title: t(locale, 'pages.rules.title'),
+      theme: 'rules',
+      languageUrl: (code) => `/auth/rules?state=${encodedState}&lang=${code}`
+    });
+  }
+
+  // Remember the chosen language for the next pages and the success DM
+  if (locale !== verification.locale) {
+    await store.updatePendingVerification(state, { locale });
+  }
+
+  const { rules } = await getGuildConfig(context, verification.guildId);
+  sendRulesPage(res, state, verification, rules, locale);
+}));
+
+// Bind a re-acceptance link to the browser of the member who asked to review the rules
+app.post('/auth/rules/start', handle(async (req, res) => {
+  const { state } = req.body;
+
+  const verification = state ? await store.getPendingVerification(state) : null;
+  if (!verification || verification.step !== 'rules_pending') {
+    debugOAuth2Flow('Invalid Rules State', { state, step: verification?.step });
+    const locale = getPageLocale(req);
+    return sendErrorPage(res, locale, {
+      title: t(locale, 'pages.error.genericTitle'),
+      message: t(locale, state ? 'pages.error.invalidState' : 'pages.error.missingState'),
+      hint: t(locale, 'pages.error.tryJoiningAgain')
+    });
+  }
+
+  addLogContext({ verificationId: verification.verificationId, guildId: verification.guildId, discordUserId: verification.discordUserId });
+
+  const locale = getPageLocale(req, verification);
+
+  // Only the first browser gets the session, the others are told when they submit the rules
+  if (!verification.sessionId) {
+    const session = createRulesSession();
+    await store.updatePendingVerification(state, { ...session, locale });
+    setSessionCookie(res, session.sessionId);
+    debugVerification('Rules Session Started', verification.discordUserId, { purpose: verification.purpose });
+  }
+
+  res.redirect(303, `/auth/rules?state=${encodeURIComponent(state)}&lang=${locale}`);
+}));
+
+/**
+ * Load the pending verification a rules form was posted for
+ * Sends an error page and returns null unless the state is on the rules step and the
+ * submission carries the session cookie and CSRF token bound to it.
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {string} action - 'Acceptance' or 'Decline', for the debug logs
+ * @returns {Promise<Object|null>} - Pending verification
+ */
+async function loadPostedRulesVerification(req, res, action) {
+  const { state } = req.body;
+
+  debugOAuth2Flow(`Rules ${action} Requested`, { state, sectionId: req.body.section });
 
   if (!state) {
-    debugOAuth2Flow('Rules Acceptance Missing State', { state });
-    return res.send(`
-      <html>
-        <head><title>Error</title></head>
-        <body>
-          <h1>❌ Error</h1>
-          <p>Missing state parameter.</p>
-          <p>Please try joining the server again.</p>
-        </body>
-      </html>
-    `);
+    debugOAuth2Flow(`Rules ${action} Missing State`, { state });
+    const locale = getPageLocale(req);
+    sendErrorPage(res, locale, {
+      title: t(locale, 'pages.error.genericTitle'),
+      message: t(locale, 'pages.error.missingState'),
+      hint: t(locale, 'pages.error.tryJoiningAgain')
+    });
+    return null;
   }
 
   // Verify state parameter
-  const verification = pendingVerifications.get(state);
+  const verification = await store.getPendingVerification(state);
   if (!verification || verification.step !== 'rules_pending') {
     debugOAuth2Flow('Invalid Rules State', { state, step: verification?.step });
-    return res.send(`
-      <html>
-        <head><title>Error</title></head>
-        <body>
-          <h1>❌ Error</h1>
-          <p>Invalid or expired verification request.</p>
-          <p>Please try joining the server again.</p>
-        </body>
-      </html>
-    `);
+    const locale = getPageLocale(req);
+    sendErrorPage(res, locale, {
+      title: t(locale, 'pages.error.genericTitle'),
+      message: t(locale, 'pages.error.invalidState'),
+      hint: t(locale, 'pages.error.tryJoiningAgain')
+    });
+    return null;
+  }
+
+  addLogContext({ verificationId: verification.verificationId, guildId: verification.guildId, discordUserId: verification.discordUserId });
+
+  // The state alone is not enough: the form must come from the browser that logged in
+  if (!checkRulesSession(req, verification)) {
+    debugVerification('Rules Session Mismatch', verification.discordUserId, { state, action });
+    const locale = getPageLocale(req, verification);
+    sendErrorPage(res, locale, {
+      title: t(locale, 'pages.error.genericTitle'),
+      message: t(locale, 'pages.error.sessionMismatch'),
+      hint: t(locale, 'pages.error.tryAgain')
+    });
+    return null;
+  }
+
+  return verification;
+}
+
+// Rules section submission: one POST per section, the last one completes the verification
+app.post('/auth/rules/accept', handle(async (req, res) => {
+  const { state, section: sectionId, agree } = req.body;
+
+  const verification = await loadPostedRulesVerification(req, res, 'Acceptance');
+  if (!verification) return;
+
+  const locale = getPageLocale(req, verification);
+  const guildConfig = await getGuildConfig(context, verification.guildId);
+  const { rules } = guildConfig;
+  const stepIndex = Math.min(verification.rulesStep || 0, rules.sections.length - 1);
+  const section = rules.sections[stepIndex];
+
+  // A form from another step (back button, double submit): show the current one again
+  if (sectionId !== section.id) {
+    debugOAuth2Flow('Rules Section Mismatch', { state, sectionId, expected: section.id });
+    return sendRulesPage(res, state, verification, rules, locale);
   }
 
+  const answer = typeof req.body.answer === 'string'
+    ? req.body.answer.trim().slice(0, section.question?.maxLength || 1000)
+    : '';
+
+  if (agree !== 'yes') {
+    return sendRulesPage(res, state, verification, rules, locale, { error: t(locale, 'pages.rules.agreeRequired'), answer });
+  }
+  if (section.question?.required && !answer) {
+    return sendRulesPage(res, state, verification, rules, locale, { error: t(locale, 'pages.rules.answerRequired'), answer });
+  }
+
+  const rulesAnswers = { ...verification.rulesAnswers, [section.id]: section.question ? answer || null : null };
+
+  // More sections to go
+  if (stepIndex < rules.sections.length - 1) {
+    await store.updatePendingVerification(state, { rulesStep: stepIndex + 1, rulesAnswers });
+    return res.redirect(303, `/auth/rules?state=${encodeURIComponent(state)}&lang=${locale}`);
+  }
+
+  metrics.rulesAccepted.inc({ purpose: verification.purpose || 'verification' });
   debugVerification('Rules Accepted', verification.discordUserId, {
-    login: verification.userData.login,
-    displayName: verification.userData.displayname
+    login: verification.profile.login,
+    rulesVersion: rules.version,
+    purpose: verification.purpose
   });
 
+  // Verified member accepting a new rules version: no OAuth data, no new link
+  if (verification.purpose === 'reaccept') {
+    try {
+      await completeRulesReacceptance({ ...context, guildConfig }, verification, rulesAnswers);
+      await store.deletePendingVerification(state);
+      clearSessionCookie(res);
+      return sendPage(res, 'success', { reaccept: true }, { locale, theme: 'success' });
+    } catch (error) {
+      debugVerification('Rules Reacceptance Failed', verification.discordUserId, { error: error.message });
+      logger.error('Rules reacceptance error', { error });
+      await store.deletePendingVerification(state);
+      clearSessionCookie(res);
+      return sendErrorPage(res, locale, {
+        message: t(locale, 'pages.error.failed', { error: error.message }),
+        hint: t(locale, 'pages.error.tryAgainOrContact')
+      });
+    }
+  }
+
   try {
     // Find the member in the Discord server
-    const guild = client.guilds.cache.get(process.env.DISCORD_GUILD_ID);
+    const guild = client.guilds.cache.get(verification.guildId);
     if (!guild) {
-      debugVerification('Guild Not Found', verification.discordUserId, { guildId: process.env.DISCORD_GUILD_ID });
+      debugVerification('Guild Not Found', verification.discordUserId, { guildId: verification.guildId });
       throw new Error('Guild not found');
     }
 
@@ -498,27 +763,25 @@ app.get('/auth/rules/accept', async (req, res) => {
     }
 
     // Add the 42 role
-    const role = guild.roles.cache.get(process.env.DISCORD_42_ROLE_ID);
+    const role = guild.roles.cache.get(guildConfig.roleId);
     if (!role) {
-      debugVerification('Role Not Found', verification.discordUserId, { roleId: process.env.DISCORD_42_ROLE_ID });
+      debugVerification('Role Not Found', verification.discordUserId, { roleId: guildConfig.roleId });
       throw new Error('42 role not found');
     }
 
-    // Debug role and bot permissions
-    const botMember = guild.members.cache.get(client.user.id);
-    const botHighestRole = botMember.roles.highest;
-    const targetRole = role;
-    
+    // Debug role and bot permissions (the same checks as the readiness probe)
+    const { botHighestRole, canManageRoles, botCanManageTargetRole } = getRoleAssignmentStatus(guild, role.id);
+
     debugVerification('Role Assignment Debug', verification.discordUserId, {
       botId: client.user.id,
-      botHighestRoleId: botHighestRole.id,
-      botHighestRoleName: botHighestRole.name,
-      botHighestRolePosition: botHighestRole.position,
-      targetRoleId: targetRole.id,
-      targetRoleName: targetRole.name,
-      targetRolePosition: targetRole.position,
-      canManageRoles: botMember.permissions.has('ManageRoles'),
-      botCanManageTargetRole: botHighestRole.position > targetRole.position
+      botHighestRoleId: botHighestRole?.id,
+      botHighestRoleName: botHighestRole?.name,
+      botHighestRolePosition: botHighestRole?.position,
+      targetRoleId: role.id,
+      targetRoleName: role.name,
+      targetRolePosition: role.position,
+      canManageRoles,
+      botCanManageTargetRole
     });
 
     try {
@@ -528,204 +791,217 @@ app.get('/auth/rules/accept', async (req, res) => {
         roleName: role.name
       });
     } catch (roleError) {
+      metrics.roleAssignmentFailures.inc();
       debugVerification('Role Assignment Failed', verification.discordUserId, {
         error: roleError.message,
         errorCode: roleError.code,
-        botHighestRolePosition: botHighestRole.position,
-        targetRolePosition: targetRole.position,
-        canManageRoles: botMember.permissions.has('ManageRoles')
+        botHighestRolePosition: botHighestRole?.position,
+        targetRolePosition: role.position,
+        canManageRoles
       });
       throw new Error(`Failed to assign role: ${roleError.message}`);
     }
 
+    // Record the link between the Discord account and the 42 login
+    const previousRecord = await store.getVerifiedMember(verification.guildId, verification.discordUserId);
+    let verifiedMember;
+    try {
+      verifiedMember = await store.saveVerifiedMember({
+        guildId: verification.guildId,
+        discordUserId: verification.discordUserId,
+        discordUsername: member.user.tag,
+        ...verification.profile,
+        verifiedAt: verification.verifiedAt || Date.now(),
+        rulesAcceptedAt: Date.now(),
+        rulesVersion: rules.version,
+        locale
+      });
+      debugVerification('Verified Member Recorded', verification.discordUserId, {
+        login: verification.profile.login
+      });
+    } catch (registryError) {
+      // Another Discord account claimed this login since the callback, undo the role
+      if (registryError.code === LOGIN_ALREADY_LINKED) {
+        metrics.validationRejections.inc({ reason: 'loginAlreadyLinked' });
+        debugVerification('Duplicate 42 Account', verification.discordUserId, {
+          login: verification.profile.login
+        });
+        await member.roles.remove(role).catch(() => {});
+      }
+      throw registryError;
+    }
+
+    await store.recordRulesAcceptance({
+      guildId: verification.guildId,
+      discordUserId: verification.discordUserId,
+      version: rules.version,
+      acceptedAt: verifiedMember.rulesAcceptedAt,
+      answers: rulesAnswers
+    });
+
+    // Apply campus, cursus and cohort roles
+    const autoRoleIds = await reconcileAutoRoles(member, verifiedMember, guildConfig.roleMapping, previousRecord?.autoRoleIds);
+    await store.saveVerifiedMember({ ...verifiedMember, autoRoleIds });
+    debugVerification('Auto Roles Applied', verification.discordUserId, { autoRoleIds });
+
     // Send success message
-    const successEmbed = createSuccessEmbed(verification.userData);
+    const successEmbed = createSuccessEmbed(verification.profile, locale);
 
     try {
       await member.send({ embeds: [successEmbed] });
+      metrics.directMessages.inc({ type: 'success', result: 'sent' });
       debugVerification('Success DM Sent', verification.discordUserId, { success: true });
     } catch (dmError) {
+      metrics.directMessages.inc({ type: 'success', result: 'failed' });
       debugVerification('Success DM Failed', verification.discordUserId, { error: dmError.message });
-      console.log(`Could not send success DM to ${member.user.tag}`);
+      logger.warn('Could not send success DM', { error: dmError });
     }
 
     // Clean up
-    pendingVerifications.delete(state);
+    await store.deletePendingVerification(state);
+    clearSessionCookie(res);
     debugVerification('Verification Complete', verification.discordUserId, {
-      pendingVerificationsCount: pendingVerifications.size
+      pendingVerificationsCount: await store.countPendingVerifications()
+    });
+    emitVerificationEvent(EVENT_TYPES.COMPLETED, {
+      guildId: verification.guildId,
+      discordUserId: verification.discordUserId,
+      login: verification.profile.login
     });
 
     // Send success page
-    res.send(`
-      <html>
-        <head>
-          <title>Verification Successful</title>
-          <style>
-            body { 
-              font-family: Arial, sans-serif; 
-              text-align: center; 
-              padding: 50px; 
-              background: linear-gradient(135deg, #4CAF50 0%, #45a049 100%);
-              color: white;
-              min-height: 100vh;
-              margin: 0;
-            }
-            .container { 
-              max-width: 600px; 
-              margin: 0 auto; 
-              background: rgba(255, 255, 255, 0.1);
-              padding: 40px;
-              border-radius: 15px;
-              backdrop-filter: blur(10px);
-              box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
-            }
-            .success-icon {
-              font-size: 64px;
-              margin-bottom: 20px;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="success-icon">✅</div>
-            <h1>Verification Successful!</h1>
-            <h2>Welcome to Queernel!</h2>
-            <p>You have successfully accepted the rules and been verified as a 42 student.</p>
-            <p>The "42" role has been added to your Discord account.</p>
-            <p>You can now close this window and return to Discord.</p>
-          </div>
-        </body>
-      </html>
-    `);
+    sendPage(res, 'success', {}, { locale, theme: 'success' });
 
   } catch (error) {
     debugVerification('Rules Acceptance Failed', verification.discordUserId, { error: error.message });
-    console.error('Rules acceptance error:', error.message);
+    logger.error('Rules acceptance error', { error });
+    emitVerificationEvent(EVENT_TYPES.FAILED, {
+      guildId: verification.guildId,
+      discordUserId: verification.discordUserId,
+      login: verification.profile.login,
+      step: 'rules_pending',
+      reason: error.message,
+      code: error.code
+    });
     
     // Clean up
-    pendingVerifications.delete(state);
-
-    res.send(`
-      <html>
-        <head><title>Verification Failed</title></head>
-        <body>
-          <h1>❌ Verification Failed</h1>
-          <p>An error occurred during verification: ${error.message}</p>
-          <p>Please try again or contact an administrator.</p>
-        </body>
-      </html>
-    `);
-  }
-});
-
-// Rules decline route
-app.get('/auth/rules/decline', async (req, res) => {
-  const { state } = req.query;
+    await store.deletePendingVerification(state);
+    clearSessionCookie(res);
 
-  debugOAuth2Flow('Rules Decline Requested', { state });
-
-  if (!state) {
-    debugOAuth2Flow('Rules Decline Missing State', { state });
-    return res.send(`
-      <html>
-        <head><title>Error</title></head>
-        <body>
-          <h1>❌ Error</h1>
-          <p>Missing state parameter.</p>
-          <p>Please try joining the server again.</p>
-        </body>
-      </html>
-    `);
+    sendErrorPage(res, locale, {
+      message: t(locale, 'pages.error.failed', { error: error.message }),
+      hint: t(locale, 'pages.error.tryAgainOrContact')
+    });
   }
+}));
 
-  // Verify state parameter
-  const verification = pendingVerifications.get(state);
-  if (!verification || verification.step !== 'rules_pending') {
-    debugOAuth2Flow('Invalid Rules State', { state, step: verification?.step });
-    return res.send(`
-      <html>
-        <head><title>Error</title></head>
-        <body>
-          <h1>❌ Error</h1>
-          <p>Invalid or expired verification request.</p>
-          <p>Please try joining the server again.</p>
-        </body>
-      </html>
-    `);
-  }
-
-  debugVerification('Rules Declined', verification.discordUserId, {
-    login: verification.userData.login,
-    displayName: verification.userData.displayname
+// Rules decline route
+app.post('/auth/rules/decline', handle(async (req, res) => {
+  const verification = await loadPostedRulesVerification(req, res, 'Decline');
+  if (!verification) return;
+
+  const locale = getPageLocale(req, verification);
+
+  metrics.rulesDeclined.inc();
+  debugVerification('Rules Declined', verification.discordUserId, { login: verification.profile.login });
+  emitVerificationEvent(EVENT_TYPES.DECLINED, {
+    guildId: verification.guildId,
+    discordUserId: verification.discordUserId,
+    login: verification.profile.login,
+    purpose: verification.purpose || 'verification'
   });
 
   // Clean up
-  pendingVerifications.delete(state);
+  await store.deletePendingVerification(verification.state);
+  clearSessionCookie(res);
 
   // Send decline page
-  res.send(`
-    <html>
-      <head>
-        <title>Verification Declined</title>
-        <style>
-          body { 
-            font-family: Arial, sans-serif; 
-            text-align: center; 
-            padding: 50px; 
-            background: linear-gradient(135deg, #f44336 0%, #da190b 100%);
-            color: white;
-            min-height: 100vh;
-            margin: 0;
-          }
-          .container { 
-            max-width: 600px; 
-            margin: 0 auto; 
-            background: rgba(255, 255, 255, 0.1);
-            padding: 40px;
-            border-radius: 15px;
-            backdrop-filter: blur(10px);
-            box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
-          }
-          .decline-icon {
-            font-size: 64px;
-            margin-bottom: 20px;
-          }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="decline-icon">❌</div>
-          <h1>Verification Declined</h1>
-          <h2>Rules Not Accepted</h2>
-          <p>You have declined to accept the Queernel rules.</p>
-          <p>You will not receive the "42" role and cannot access all server features.</p>
-          <p>If you change your mind, you can try joining the server again.</p>
-        </div>
-      </body>
-    </html>
-  `);
+  sendPage(res, 'decline', {}, { locale, theme: 'error' });
+}));
+
+// Liveness: the process is up and serving requests
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'ok', uptime: process.uptime() });
+});
+
+/**
+ * Check the METRICS_TOKEN bearer token of a request
+ * @param {Request} req - Express request
+ * @returns {boolean} - True if METRICS_TOKEN is set and the request carries it
+ */
+function hasMetricsToken(req) {
+  return !!process.env.METRICS_TOKEN && safeEqual(req.get('authorization'), `Bearer ${process.env.METRICS_TOKEN}`);
+}
+
+// Readiness: the gateway and the store work, only then should traffic be routed here
+app.get('/health/ready', async (req, res) => {
+  try {
+    const { ready, degraded, checks } = await checkReadiness(context);
+    if (!ready || degraded) {
+      logger.warn(ready ? 'Readiness check degraded' : 'Readiness check failed', {
+        failedChecks: Object.keys(checks).filter(name => !checks[name].ok)
+      });
+    }
+    const status = ready ? (degraded ? 'degraded' : 'ready') : 'not_ready';
+    res.status(ready ? 200 : 503).json({ status, checks: hasMetricsToken(req) ? checks : summarizeChecks(checks) });
+  } catch (error) {
+    logger.error('Readiness check error', { error });
+    res.status(503).json({ status: 'not_ready' });
+  }
 });
 
 // Health check endpoint
-app.get('/health', (req, res) => {
-  const healthData = { 
-    status: 'ok', 
-    bot: client.user ? 'connected' : 'disconnected',
-    pendingVerifications: pendingVerifications.size,
-    uptime: process.uptime(),
-    memory: process.memoryUsage()
-  };
-  
-  debugLog('Health Check', healthData);
-  
-  res.json(healthData);
+app.get('/health', async (req, res) => {
+  try {
+    const healthData = { 
+      status: 'ok', 
+      bot: client.user ? 'connected' : 'disconnected',
+      pendingVerifications: await store.countPendingVerifications(),
+      verifiedMembers: await store.countVerifiedMembers(),
+      fortyTwoApi: fortyTwoAPI.getStats(),
+      uptime: process.uptime(),
+      memory: process.memoryUsage()
+    };
+    
+    debugLog('Health Check', healthData);
+    
+    res.json(healthData);
+  } catch (error) {
+    logger.error('Health check error', { error });
+    res.status(503).json({ status: 'error', error: error.message });
+  }
+});
+
+// Prometheus metrics, behind a bearer token when METRICS_TOKEN is set
+app.get('/metrics', async (req, res) => {
+  if (process.env.METRICS_TOKEN && !safeEqual(req.get('authorization'), `Bearer ${process.env.METRICS_TOKEN}`)) {
+    return res.status(401).send('Unauthorized');
+  }
+
+  try {
+    res.set('Content-Type', metrics.register.contentType);
+    res.end(await metrics.register.metrics());
+  } catch (error) {
+    logger.error('Metrics collection error', { error });
+    res.status(500).end();
+  }
 });
 
 // Start the Express server
 app.listen(PORT, () => {
   debugLog('Express Server Started', { port: PORT });
-  console.log(`OAuth2 callback server running on port ${PORT}`);
+  logger.info('OAuth2 callback server running', { port: Number(PORT) });
 });
 
+// Close the store cleanly when the container is stopped
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    debugLog('Shutting Down', { signal });
+    client.destroy();
+    await store.close();
+    process.exit(0);
+  });
+}
+
 // Login to Discord
 client.login(process.env.DISCORD_TOKEN); 
\ No newline at end of file
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { redact } = require('./redact');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// DEBUG=true keeps working as a shortcut for LOG_LEVEL=debug
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL]
+  ? process.env.LOG_LEVEL
+  : (process.env.DEBUG === 'true' || process.env.DEBUG === '1' ? 'debug' : 'info');
+
+// json (default) for log shipping, pretty for reading in a terminal
+const LOG_FORMAT = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+
+// Fields attached to every line logged while handling an event or request (verificationId, discordUserId)
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Check if a level is logged
+ * @param {string} level - debug, info, warn or error
+ * @returns {boolean} - True if lines of this level are written
+ */
+function isLevelEnabled(level) {
+  return LEVELS[level] >= LEVELS[LOG_LEVEL];
+}
+
+/**
+ * Write a log line
+ * @param {string} level - debug, info, warn or error
+ * @param {string} message - What happened
+ * @param {Object} fields - Structured data, redacted before writing
+ */
+function log(level, message, fields = {}) {
+  if (!isLevelEnabled(level)) return;
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...logContext.getStore(),
+    ...fields
+  });
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (LOG_FORMAT === 'pretty') {
+    const { time, level: entryLevel, msg, ...rest } = entry;
+    const details = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest, null, 2)}` : '';
+    stream.write(`[${time}] ${entryLevel.toUpperCase()}: ${msg}${details}\n`);
+  } else {
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+}
+
+const logger = {
+  debug: (message, fields) => log('debug', message, fields),
+  info: (message, fields) => log('info', message, fields),
+  warn: (message, fields) => log('warn', message, fields),
+  error: (message, fields) => log('error', message, fields),
+  isLevelEnabled
+};
+
+/**
+ * Run a function with its own log context
+ * @param {Object} fields - Initial context fields
+ * @param {Function} fn - Function to run
+ * @returns {*} - What the function returns
+ */
+function runWithLogContext(fields, fn) {
+  return logContext.run({ ...fields }, fn);
+}
+
+/**
+ * Add fields to the current log context (no-op outside runWithLogContext)
+ * @param {Object} fields - Fields to attach to the following lines
+ */
+function addLogContext(fields) {
+  const store = logContext.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+}
+
+/**
+ * Get the fields of the current log context
+ * @returns {Object} - Context fields, empty outside runWithLogContext
+ */
+function getLogContext() {
+  return { ...logContext.getStore() };
+}
+
+/**
+ * Create the correlation ID following a verification from the join to the rules acceptance
+ * @returns {string} - Verification ID
+ */
+function createVerificationId() {
+  return crypto.randomUUID();
+}
+
+module.exports = {
+  LEVELS,
+  LOG_LEVEL,
+  logger,
+  runWithLogContext,
+  addLogContext,
+  getLogContext,
+  createVerificationId
+};
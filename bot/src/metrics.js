@@ -0,0 +1,139 @@
+const client = require('prom-client');
+
+// Prometheus metrics for the verification funnel, served on /metrics
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'queernel_' });
+
+const memberJoins = new client.Counter({
+  name: 'queernel_member_joins_total',
+  help: 'Members who joined the server',
+  registers: [register]
+});
+
+const directMessages = new client.Counter({
+  name: 'queernel_direct_messages_total',
+  help: 'DMs sent to members, by type and result (sent or failed)',
+  labelNames: ['type', 'result'],
+  registers: [register]
+});
+
+const oauthCallbacks = new client.Counter({
+  name: 'queernel_oauth_callbacks_total',
+  help: 'OAuth2 callbacks received from 42',
+  registers: [register]
+});
+
+const tokenExchangeFailures = new client.Counter({
+  name: 'queernel_token_exchange_failures_total',
+  help: 'Authorization codes that could not be exchanged for a token',
+  registers: [register]
+});
+
+const validationRejections = new client.Counter({
+  name: 'queernel_validation_rejections_total',
+  help: '42 accounts refused at verification time, by failed rule',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+const rulesAccepted = new client.Counter({
+  name: 'queernel_rules_accepted_total',
+  help: 'Rules acceptances, by purpose (verification or reaccept)',
+  labelNames: ['purpose'],
+  registers: [register]
+});
+
+const rulesDeclined = new client.Counter({
+  name: 'queernel_rules_declined_total',
+  help: 'Rules refusals',
+  registers: [register]
+});
+
+const roleAssignmentFailures = new client.Counter({
+  name: 'queernel_role_assignment_failures_total',
+  help: 'Roles the bot failed to add to a member',
+  registers: [register]
+});
+
+const expiredStates = new client.Counter({
+  name: 'queernel_expired_states_total',
+  help: 'Pending verifications removed after expiring, by the step they were on',
+  labelNames: ['step'],
+  registers: [register]
+});
+
+const unverifiedActions = new client.Counter({
+  name: 'queernel_unverified_actions_total',
+  help: 'Members kicked or moved to the unverified role after the grace period, by action',
+  labelNames: ['action'],
+  registers: [register]
+});
+
+const webhookDeliveries = new client.Counter({
+  name: 'queernel_webhook_deliveries_total',
+  help: 'Webhook delivery attempts, by event type and outcome (delivered, retried, dead_letter)',
+  labelNames: ['type', 'outcome'],
+  registers: [register]
+});
+
+const fortyTwoRequestDuration = new client.Histogram({
+  name: 'queernel_fortytwo_api_request_duration_seconds',
+  help: 'Latency of 42 API requests, per attempt',
+  labelNames: ['method', 'endpoint', 'status'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+/**
+ * Reduce a 42 API URL to a low-cardinality endpoint label
+ * @param {string} url - Request URL
+ * @returns {string} - Endpoint such as /v2/users/:login
+ */
+function getEndpointLabel(url) {
+  const { pathname } = new URL(url);
+  return pathname
+    .replace(/^\/v2\/users\/[^/]+/, '/v2/users/:login')
+    .replace(/\/\d+(?=\/|$)/g, '/:id');
+}
+
+/**
+ * Expose store counts as gauges, read on each scrape
+ * @param {Object} store - Verification store
+ */
+function registerStoreGauges(store) {
+  new client.Gauge({
+    name: 'queernel_pending_verifications',
+    help: 'Verifications waiting for the 42 login or the rules',
+    registers: [register],
+    async collect() {
+      this.set(await store.countPendingVerifications());
+    }
+  });
+
+  new client.Gauge({
+    name: 'queernel_verified_members',
+    help: 'Members linked to a 42 account',
+    registers: [register],
+    async collect() {
+      this.set(await store.countVerifiedMembers());
+    }
+  });
+}
+
+module.exports = {
+  register,
+  memberJoins,
+  directMessages,
+  oauthCallbacks,
+  tokenExchangeFailures,
+  validationRejections,
+  rulesAccepted,
+  rulesDeclined,
+  roleAssignmentFailures,
+  expiredStates,
+  unverifiedActions,
+  webhookDeliveries,
+  fortyTwoRequestDuration,
+  getEndpointLabel,
+  registerStoreGauges
+};
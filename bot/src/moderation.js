@@ -0,0 +1,107 @@
+const { add42Role, remove42Role } = require('./utils');
+const { reconcileAutoRoles, removeAutoRoles } = require('./auto-roles');
+const { LOGIN_ALREADY_LINKED } = require('./store');
+const { EVENT_TYPES, emitVerificationEvent } = require('./events');
+const { debugVerification } = require('./debug');
+
+/**
+ * Force-verify a member with a given 42 login, for /mod verify and the dashboard
+ * @param {Object} context - Shared bot services, with the guildConfig
+ * @param {GuildMember} member - Member to verify
+ * @param {string} login - 42 login, lowercase
+ * @param {string} moderatorId - Discord user ID of the moderator
+ * @returns {Promise<Object>} - { success, error?, existingLink?, fortyTwoError? }
+ */
+async function forceVerifyMember({ store, fortyTwoAPI, guildConfig }, member, login, moderatorId) {
+  const guildId = member.guild.id;
+
+  const existingLink = await store.getVerifiedMemberByLogin(guildId, login);
+  if (existingLink && existingLink.discordUserId !== member.id) {
+    return { success: false, error: LOGIN_ALREADY_LINKED, existingLink };
+  }
+
+  // Keep campus and cursus data when the 42 API knows the login, the link is forced either way
+  let profile = { login };
+  let fortyTwoError = null;
+  try {
+    profile = fortyTwoAPI.createMemberProfile(await fortyTwoAPI.getUserByLogin(login));
+  } catch (error) {
+    fortyTwoError = error.message;
+  }
+
+  if (!(await add42Role(member, guildConfig.roleId))) {
+    return { success: false, error: 'Role assignment failed' };
+  }
+
+  const previousRecord = await store.getVerifiedMember(guildId, member.id);
+  const autoRoleIds = await reconcileAutoRoles(member, profile, guildConfig.roleMapping, previousRecord?.autoRoleIds);
+  await store.saveVerifiedMember({
+    guildId,
+    discordUserId: member.id,
+    discordUsername: member.user.tag,
+    ...profile,
+    verifiedAt: Date.now(),
+    rulesAcceptedAt: previousRecord?.rulesAcceptedAt || null,
+    rulesVersion: previousRecord?.rulesVersion,
+    verifiedBy: moderatorId,
+    autoRoleIds
+  });
+  await store.deletePendingVerificationsByUser(guildId, member.id);
+
+  debugVerification('Manual Verification', member.id, { login, moderatorId });
+  emitVerificationEvent(EVENT_TYPES.COMPLETED, {
+    guildId,
+    discordUserId: member.id,
+    login,
+    moderatorId
+  });
+  return { success: true, fortyTwoError };
+}
+
+/**
+ * Remove a member's 42 link and role, for /mod revoke and the dashboard
+ * Works on members who already left: only their link is removed then.
+ * @param {Object} context - Shared bot services, with the guildConfig
+ * @param {string} guildId - Discord guild ID
+ * @param {string} discordUserId - Discord user ID
+ * @param {GuildMember|null} member - Guild member, or null if they left
+ * @param {Object} options - Revocation details
+ * @param {string} options.moderatorId - Discord user ID of the moderator
+ * @param {string} options.reason - Reason for the revocation
+ * @returns {Promise<Object>} - { success, error?, verifiedMember }
+ */
+async function revokeMember({ store, guildConfig }, guildId, discordUserId, member, { moderatorId, reason }) {
+  const roleId = guildConfig.roleId;
+
+  const verifiedMember = await store.getVerifiedMember(guildId, discordUserId);
+  const hasRole = !!member && member.roles.cache.has(roleId);
+
+  if (!verifiedMember && !hasRole) {
+    return { success: false, error: 'Not verified', verifiedMember };
+  }
+
+  if (hasRole && !(await remove42Role(member, roleId))) {
+    return { success: false, error: 'Role removal failed', verifiedMember };
+  }
+
+  if (member && verifiedMember) {
+    await removeAutoRoles(member, verifiedMember.autoRoleIds);
+  }
+  await store.deleteVerifiedMember(guildId, discordUserId);
+
+  debugVerification('Verification Revoked', discordUserId, { login: verifiedMember?.login, moderatorId, reason });
+  emitVerificationEvent(EVENT_TYPES.REVOKED, {
+    guildId,
+    discordUserId,
+    login: verifiedMember?.login,
+    source: 'moderator',
+    moderatorId,
+    reason
+  });
+  return { success: true, verifiedMember };
+}
+
+module.exports = {
+  forceVerifyMember,
+  revokeMember
+};
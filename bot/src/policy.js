@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const { debugLog } = require('./debug');
+
+/**
+ * Default eligibility policy, matching the historical hardcoded checks
+ *
+ * - allowStaff / allowAlumni / allowInactive: let staff, alumni or inactive accounts through
+ * - requireCampus / requireCursus: the account needs at least one campus / cursus
+ * - requirePool: the account needs a pool year or month
+ * - campuses.allow / campuses.deny: campus names or IDs (an empty allow list allows every campus)
+ * - requiredCursus: cursus names or IDs, the account needs at least one of them (e.g. 21 for 42cursus, 9 for C Piscine)
+ * - minLevel: minimum level in a required cursus (or in any cursus when none is required)
+ */
+const DEFAULT_POLICY = {
+  allowStaff: false,
+  allowAlumni: true,
+  allowInactive: false,
+  requireCampus: true,
+  requireCursus: true,
+  requirePool: false,
+  campuses: {
+    allow: [],
+    deny: []
+  },
+  requiredCursus: [],
+  minLevel: null
+};
+
+/**
+ * Check that a policy only contains known keys with the right types
+ * @param {Object} policy - Policy to check
+ * @throws {Error} - If the policy is invalid
+ */
+function validatePolicy(policy) {
+  for (const key of Object.keys(policy)) {
+    if (!(key in DEFAULT_POLICY)) {
+      throw new Error(`Unknown policy key: ${key}`);
+    }
+  }
+  for (const key of ['allowStaff', 'allowAlumni', 'allowInactive', 'requireCampus', 'requireCursus', 'requirePool']) {
+    if (typeof policy[key] !== 'boolean') {
+      throw new Error(`Policy key ${key} must be a boolean`);
+    }
+  }
+  if (!Array.isArray(policy.campuses?.allow) || !Array.isArray(policy.campuses?.deny)) {
+    throw new Error('Policy key campuses must have allow and deny lists');
+  }
+  if (!Array.isArray(policy.requiredCursus)) {
+    throw new Error('Policy key requiredCursus must be a list');
+  }
+  if (policy.minLevel !== null && typeof policy.minLevel !== 'number') {
+    throw new Error('Policy key minLevel must be a number or null');
+  }
+}
+
+/**
+ * Build a policy from overrides on top of the defaults
+ * @param {Object} overrides - Policy keys to change
+ * @returns {Object} - Policy
+ * @throws {Error} - If the resulting policy is invalid
+ */
+function buildPolicy(overrides) {
+  const policy = {
+    ...DEFAULT_POLICY,
+    ...overrides,
+    campuses: { ...DEFAULT_POLICY.campuses, ...overrides.campuses }
+  };
+  validatePolicy(policy);
+  return policy;
+}
+
+/**
+ * Load the eligibility policy from a JSON file, on top of the defaults
+ * @param {string} filename - Path to the policy file (default: POLICY_CONFIG_PATH or ./config/policy.json)
+ * @returns {Object} - Policy
+ */
+function loadPolicy(filename = process.env.POLICY_CONFIG_PATH || './config/policy.json') {
+  const resolved = path.resolve(filename);
+
+  if (!fs.existsSync(resolved)) {
+    debugLog('Policy File Not Found, Using Defaults', { filename: resolved });
+    return { ...DEFAULT_POLICY };
+  }
+
+  const policy = buildPolicy(JSON.parse(fs.readFileSync(resolved, 'utf8')));
+
+  debugLog('Policy Loaded', { filename: resolved, policy });
+  return policy;
+}
+
+/**
+ * Check if a campus or cursus matches a list of names or IDs
+ * @param {Array<string|number>} list - Names or IDs
+ * @param {Object} item - Campus or cursus with id and name
+ * @returns {boolean} - True if the item is in the list
+ */
+function matchesList(list, item) {
+  return list.some(entry => 
+    typeof entry === 'number'
+      ? entry === item?.id
+      : String(entry).toLowerCase() === String(item?.name).toLowerCase()
+  );
+}
+
+/**
+ * Evaluate a 42 user against the eligibility policy
+ * Every rule is checked so the result lists all the rules that failed, in policy order.
+ * @param {Object} policy - Eligibility policy
+ * @param {Object} userData - User data from 42 API
+ * @returns {Object} - { eligible, failures: [{ rule, message }] }
+ */
+function evaluatePolicy(policy, userData) {
+  const failures = [];
+  const fail = (rule, message) => failures.push({ rule, message });
+
+  if (!userData || !userData.login || !userData.email) {
+    fail('profile', 'The 42 profile is missing its login or email');
+    return { eligible: false, failures };
+  }
+
+  const campuses = userData.campus || [];
+  const cursusUsers = userData.cursus_users || [];
+
+  if (!policy.allowStaff && userData['staff?']) {
+    fail('allowStaff', 'Staff accounts are not allowed');
+  }
+
+  if (!policy.allowAlumni && userData['alumni?']) {
+    fail('allowAlumni', 'Alumni accounts are not allowed');
+  }
+
+  if (!policy.allowInactive && userData['active?'] === false) {
+    fail('allowInactive', 'The 42 account is inactive');
+  }
+
+  if (policy.requireCampus && campuses.length === 0) {
+    fail('requireCampus', 'The 42 account has no campus');
+  }
+
+  if (policy.campuses.allow.length > 0 && !campuses.some(campus => matchesList(policy.campuses.allow, campus))) {
+    fail('campuses.allow', `Campus ${campuses.map(campus => campus.name).join(', ') || 'none'} is not allowed`);
+  }
+
+  const deniedCampuses = campuses.filter(campus => matchesList(policy.campuses.deny, campus));
+  if (deniedCampuses.length > 0) {
+    fail('campuses.deny', `Campus ${deniedCampuses.map(campus => campus.name).join(', ')} is not allowed`);
+  }
+
+  if (policy.requireCursus && cursusUsers.length === 0) {
+    fail('requireCursus', 'The 42 account has no cursus');
+  }
+
+  const matchingCursusUsers = policy.requiredCursus.length > 0
+    ? cursusUsers.filter(cursusUser => matchesList(policy.requiredCursus, cursusUser.cursus))
+    : cursusUsers;
+
+  if (policy.requiredCursus.length > 0 && matchingCursusUsers.length === 0) {
+    fail('requiredCursus', `Enrollment in one of these cursus is required: ${policy.requiredCursus.join(', ')}`);
+  }
+
+  if (policy.minLevel !== null && matchingCursusUsers.length > 0) {
+    const level = Math.max(...matchingCursusUsers.map(cursusUser => cursusUser.level || 0));
+    if (level < policy.minLevel) {
+      fail('minLevel', `Level ${level} is below the required level ${policy.minLevel}`);
+    }
+  }
+
+  if (policy.requirePool && !userData.pool_year && !userData.pool_month) {
+    fail('requirePool', 'The 42 account has no pool year or month');
+  }
+
+  return { eligible: failures.length === 0, failures };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  buildPolicy,
+  loadPolicy,
+  validatePolicy,
+  evaluatePolicy
+};
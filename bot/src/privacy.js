@@ -0,0 +1,144 @@
+const { remove42Role } = require('./utils');
+const { removeAutoRoles } = require('./auto-roles');
+const { getGuildConfig } = require('./guild-config');
+const { EVENT_TYPES, emitVerificationEvent } = require('./events');
+const { debugLog } = require('./debug');
+const { logger } = require('./logger');
+
+// Secrets of an ongoing verification, never part of an export
+const PENDING_SECRET_FIELDS = ['state', 'sessionId', 'csrfToken', 'codeVerifier'];
+
+// Other people's identities found in verification events
+const OTHER_PEOPLE_FIELDS = ['moderatorId', 'linkedDiscordUserId'];
+
+/**
+ * Read the privacy configuration from the environment
+ * @returns {Object} - { retentionDays } where 0 keeps the links of departed members forever
+ */
+function getPrivacyConfig() {
+  const retentionDays = process.env.DATA_RETENTION_DAYS;
+  return {
+    retentionDays: retentionDays === undefined || retentionDays === '' ? 180 : Math.max(0, Number(retentionDays) || 0)
+  };
+}
+
+/**
+ * Delete the links of members who left their server more than DATA_RETENTION_DAYS ago
+ * @param {Object} store - Verification store
+ * @returns {Promise<number>} - Number of deleted links
+ */
+async function applyRetention(store) {
+  const { retentionDays } = getPrivacyConfig();
+  if (retentionDays === 0) return 0;
+
+  const deleted = await store.deleteVerifiedMembersLeftBefore(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  for (const member of deleted) {
+    debugLog('Retention Expired', { guildId: member.guildId, discordUserId: member.discordUserId, leftAt: member.leftAt });
+  }
+  if (deleted.length > 0) {
+    logger.info('Deleted the links of departed members after the retention period', { count: deleted.length, retentionDays });
+  }
+  return deleted.length;
+}
+
+/**
+ * Collect everything held about a member, for /privacy export
+ * Other people's identities (moderators, other accounts) and verification secrets are left out.
+ * @param {Object} store - Verification store
+ * @param {string} discordUserId - Discord user ID
+ * @returns {Promise<Object>} - Export document
+ */
+async function exportMemberData(store, discordUserId) {
+  const data = await store.listUserData(discordUserId);
+  const omit = (record, fields) => Object.fromEntries(Object.entries(record).filter(([key]) => !fields.includes(key)));
+
+  return {
+    exportedAt: new Date().toISOString(),
+    discordUserId,
+    retentionDays: getPrivacyConfig().retentionDays,
+    verifiedMembers: data.verifiedMembers.map(record => omit(record, ['verifiedBy'])),
+    rulesAcceptances: data.rulesAcceptances,
+    pendingVerifications: data.pendingVerifications.map(record => omit(record, PENDING_SECRET_FIELDS)),
+    unverifiedMembers: data.unverifiedMembers,
+    verificationEvents: data.verificationEvents.map(event => omit(event, OTHER_PEOPLE_FIELDS)),
+    moderatorActions: data.modActions.map(({ guildId, timestamp, action, login, reason, success }) => ({
+      guildId, timestamp, action, login, reason, success
+    })),
+    undeliveredWebhooks: data.webhookDeadLetters.map(({ failedAt, payload }) => ({
+      failedAt,
+      type: payload.type,
+      data: omit(payload.data, OTHER_PEOPLE_FIELDS)
+    }))
+  };
+}
+
+/**
+ * Erase everything held about a member in every server, and take back their verified roles
+ * Moderator actions about the member are kept as the moderators' record. The request itself is
+ * logged for the moderators of every server that held data.
+ * @param {Object} context - Shared bot services
+ * @param {User} user - Discord user asking for the erasure
+ * @param {string} requestedIn - Discord guild ID the request was made in
+ * @returns {Promise<Object>} - Recorded erasure request
+ */
+async function eraseMemberData(context, user, requestedIn) {
+  const { client, store } = context;
+  const data = await store.listUserData(user.id);
+  const guildIds = [...new Set([
+    requestedIn,
+    ...data.verifiedMembers.map(record => record.guildId),
+    ...data.pendingVerifications.map(record => record.guildId),
+    ...data.unverifiedMembers.map(record => record.guildId),
+    ...data.rulesAcceptances.map(record => record.guildId)
+  ])];
+
+  // Roles first: once the link is gone, nothing would tell which auto-roles were given
+  const rolesRemoved = [];
+  const roleErrors = [];
+  for (const guildId of guildIds) {
+    const member = await client.guilds.cache.get(guildId)?.members.fetch(user.id).catch(() => null);
+    if (!member) continue;
+
+    const { roleId } = await getGuildConfig(context, guildId);
+    const verifiedMember = data.verifiedMembers.find(record => record.guildId === guildId);
+    if (roleId && member.roles.cache.has(roleId)) {
+      if (await remove42Role(member, roleId)) {
+        rolesRemoved.push(guildId);
+      } else {
+        roleErrors.push(guildId);
+      }
+    }
+    if (verifiedMember) {
+      await removeAutoRoles(member, verifiedMember.autoRoleIds);
+    }
+  }
+
+  const deleted = await store.deleteUserData(user.id);
+  const request = await store.recordErasureRequest({
+    discordUserId: user.id,
+    requestedAt: Date.now(),
+    requestedIn,
+    guildIds,
+    deleted,
+    rolesRemoved,
+    roleErrors
+  });
+
+  logger.info('Member data erased', { discordUserId: user.id, guildIds, deleted, roleErrors });
+  for (const guildId of guildIds) {
+    emitVerificationEvent(EVENT_TYPES.ERASED, {
+      guildId,
+      discordUserId: user.id,
+      erasureRequestId: request.id,
+      roleError: roleErrors.includes(guildId)
+    });
+  }
+  return request;
+}
+
+module.exports = {
+  getPrivacyConfig,
+  applyRetention,
+  exportMemberData,
+  eraseMemberData
+};
@@ -0,0 +1,85 @@
+// Redaction applied to everything the logger writes
+
+const MASK = '***MASKED***';
+
+// Keys whose values are never logged: credentials, OAuth2 codes (logged as authorizationCode) and verifiers,
+// session secrets and emails. A bare `code` is left alone: it is the code of errors (ECONNRESET, LOGIN_ALREADY_LINKED...)
+const SENSITIVE_KEYS = [
+  /token/i,
+  /secret/i,
+  /password/i,
+  /authorization/i,
+  /cookie/i,
+  /csrf/i,
+  /code_?verifier/i,
+  /e-?mail/i
+];
+
+// Values hidden inside free text (URLs, error messages)
+const SENSITIVE_PATTERNS = [
+  // Query parameters
+  [/([?&](?:access_token|refresh_token|token|secret|client_secret|password|authorization|code|code_verifier)=)([^&\s]*)/gi, `$1${MASK}`],
+  // Bearer credentials
+  [/(Bearer\s+)[\w\-.~+/]+=*/gi, `$1${MASK}`],
+  // Email addresses
+  [/[\w.!#$%&'*+/=?^`{|}~-]+@[\w-]+(?:\.[\w-]+)+/g, MASK]
+];
+
+/**
+ * Check if a key holds sensitive data
+ * @param {string} key - Object key
+ * @returns {boolean} - True if the value must be masked
+ */
+function isSensitiveKey(key) {
+  return SENSITIVE_KEYS.some(pattern => pattern.test(key));
+}
+
+/**
+ * Mask sensitive values inside a string
+ * @param {string} text - Text to redact
+ * @returns {string} - Redacted text
+ */
+function redactString(text) {
+  return SENSITIVE_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+/**
+ * Mask sensitive data in any value, recursively
+ * Errors are turned into plain objects so their message is redacted too.
+ * @param {*} data - Value to redact
+ * @param {number} depth - Current nesting depth (stops at 10)
+ * @returns {*} - Redacted copy
+ */
+function redact(data, depth = 0) {
+  if (typeof data === 'string') {
+    return redactString(data);
+  }
+
+  if (data instanceof Error) {
+    return redact({ message: data.message, code: data.code, status: data.response?.status }, depth);
+  }
+
+  if (typeof data === 'object' && data !== null) {
+    if (depth >= 10) {
+      return '[Object]';
+    }
+
+    const masked = Array.isArray(data) ? [] : {};
+    for (const [key, value] of Object.entries(data)) {
+      if (value === undefined) continue;
+      masked[key] = isSensitiveKey(key) && value !== null && typeof value !== 'boolean'
+        ? MASK
+        : redact(value, depth + 1);
+    }
+    return masked;
+  }
+
+  return data;
+}
+
+module.exports = {
+  MASK,
+  isSensitiveKey,
+  redactString,
+  redact
+};
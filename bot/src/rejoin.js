@@ -0,0 +1,173 @@
+const { add42Role, createWelcomeBackEmbed } = require('./utils');
+const { reconcileAutoRoles } = require('./auto-roles');
+const { EVENT_TYPES, emitVerificationEvent } = require('./events');
+const { resolveLocale } = require('./i18n');
+const { debugVerification } = require('./debug');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+// Moderator actions ending a verification
+const REVOKING_ACTIONS = ['revoke', 'revalidation-removal'];
+
+/**
+ * Find the revocation of a member who has no link anymore
+ * @param {Object} store - Verification store
+ * @param {string} guildId - Discord guild ID
+ * @param {string} discordUserId - Discord user ID
+ * @returns {Promise<Object|null>} - Revoking moderator action, or null if the last one was not a revocation
+ */
+async function findRevocation(store, guildId, discordUserId) {
+  const actions = await store.listModActions({ guildId, targetUserId: discordUserId, limit: 20 });
+  const last = actions.find(action => action.success && (REVOKING_ACTIONS.includes(action.action) || action.action === 'verify'));
+  return last && REVOKING_ACTIONS.includes(last.action) ? last : null;
+}
+
+/**
+ * Handle a member joining again, before they are treated as a newcomer
+ * A member whose link is still stored gets the 42 role back after a fresh eligibility check.
+ * Banned and revoked members are refused, without a welcome DM, and reported to the moderators.
+ * They can still verify again with /verify, or be restored with /mod verify.
+ * @param {Object} context - Shared bot services, with the guildConfig
+ * @param {GuildMember} member - Member who joined
+ * @returns {Promise<string>} - 'restored', 'refused' or 'newcomer' (send the usual welcome)
+ */
+async function handleReturningMember({ store, fortyTwoAPI, guildConfig }, member) {
+  const guildId = member.guild.id;
+  const discordUserId = member.user.id;
+  const verifiedMember = await store.getVerifiedMember(guildId, discordUserId);
+
+  if (!verifiedMember) {
+    const revocation = await findRevocation(store, guildId, discordUserId);
+    if (revocation) {
+      debugVerification('Revoked Member Rejoined', discordUserId, { action: revocation.action, revokedAt: revocation.timestamp });
+      emitVerificationEvent(EVENT_TYPES.REJOIN_REFUSED, {
+        guildId,
+        discordUserId,
+        login: revocation.login,
+        reason: `Previously revoked (${revocation.action}${revocation.reason ? `: ${revocation.reason}` : ''}), must verify again`
+      });
+      return 'refused';
+    }
+    return 'newcomer';
+  }
+
+  // A lifted ban still refuses the automatic restore, only a new verification clears it
+  if (verifiedMember.bannedAt) {
+    debugVerification('Banned Member Rejoined', discordUserId, {
+      login: verifiedMember.login,
+      bannedAt: verifiedMember.bannedAt,
+      unbannedAt: verifiedMember.unbannedAt
+    });
+    logger.warn('Banned member rejoined, not restoring their verification', { login: verifiedMember.login });
+    emitVerificationEvent(EVENT_TYPES.REJOIN_REFUSED, {
+      guildId,
+      discordUserId,
+      login: verifiedMember.login,
+      reason: `Previously banned${verifiedMember.banReason ? `: ${verifiedMember.banReason}` : ''}`
+    });
+    return 'refused';
+  }
+
+  // The link is old: only restore it if the 42 account still passes the policy
+  let userData;
+  try {
+    userData = await fortyTwoAPI.getUserByLogin(verifiedMember.login);
+  } catch (error) {
+    logger.warn('Could not re-check returning member, falling back to a new verification', { login: verifiedMember.login, error });
+    return 'newcomer';
+  }
+
+  const eligibility = fortyTwoAPI.checkEligibility(userData, guildConfig.policy);
+  if (!eligibility.eligible) {
+    const reason = eligibility.failures.map(failure => failure.message).join('; ');
+    for (const failure of eligibility.failures) {
+      metrics.validationRejections.inc({ reason: failure.rule });
+    }
+    debugVerification('Returning Member Not Eligible', discordUserId, { login: verifiedMember.login, failures: eligibility.failures });
+    emitVerificationEvent(EVENT_TYPES.FAILED, { guildId, discordUserId, login: verifiedMember.login, step: 'rejoin', reason });
+    return 'newcomer';
+  }
+
+  // Members downgraded for not re-accepting the rules get the downgrade role back, not the 42 role
+  const downgraded = verifiedMember.rulesDowngradedVersion !== undefined;
+  const roleId = downgraded ? guildConfig.rules.downgrade.roleId : guildConfig.roleId;
+  if (roleId && !(await add42Role(member, roleId))) {
+    emitVerificationEvent(EVENT_TYPES.FAILED, {
+      guildId,
+      discordUserId,
+      login: verifiedMember.login,
+      step: 'rejoin',
+      reason: 'Failed to restore the role'
+    });
+    return 'newcomer';
+  }
+
+  const profile = fortyTwoAPI.createMemberProfile(userData);
+  const autoRoleIds = await reconcileAutoRoles(member, profile, guildConfig.roleMapping, verifiedMember.autoRoleIds);
+  await store.saveVerifiedMember({
+    ...verifiedMember,
+    ...profile,
+    discordUsername: member.user.tag,
+    autoRoleIds,
+    lastCheckedAt: Date.now(),
+    restoredAt: Date.now(),
+    leftAt: null
+  });
+
+  const locale = resolveLocale(verifiedMember.locale, guildConfig.locale, member.guild.preferredLocale);
+  await member.send({ embeds: [createWelcomeBackEmbed(verifiedMember.login, locale)] })
+    .then(() => metrics.directMessages.inc({ type: 'welcome_back', result: 'sent' }))
+    .catch(() => metrics.directMessages.inc({ type: 'welcome_back', result: 'failed' }));
+
+  debugVerification('Returning Member Restored', discordUserId, { login: verifiedMember.login, downgraded, autoRoleIds });
+  logger.info('Returning member restored', { login: verifiedMember.login });
+  emitVerificationEvent(EVENT_TYPES.COMPLETED, { guildId, discordUserId, login: verifiedMember.login, source: 'rejoin' });
+  return 'restored';
+}
+
+/**
+ * Remember a ban on the member's link, so it is not restored if they come back
+ * @param {Object} store - Verification store
+ * @param {GuildBan} ban - Discord ban
+ */
+async function recordBan(store, ban) {
+  const verifiedMember = await store.getVerifiedMember(ban.guild.id, ban.user.id);
+  if (!verifiedMember) return;
+
+  await store.saveVerifiedMember({ ...verifiedMember, bannedAt: Date.now(), banReason: ban.reason || null, unbannedAt: null });
+  debugVerification('Ban Recorded', ban.user.id, { login: verifiedMember.login });
+}
+
+/**
+ * Remember when a ban on the member's link was lifted, the ban itself is kept
+ * @param {Object} store - Verification store
+ * @param {GuildBan} ban - Lifted Discord ban
+ */
+async function recordUnban(store, ban) {
+  const verifiedMember = await store.getVerifiedMember(ban.guild.id, ban.user.id);
+  if (!verifiedMember?.bannedAt) return;
+
+  await store.saveVerifiedMember({ ...verifiedMember, unbannedAt: Date.now() });
+  debugVerification('Unban Recorded', ban.user.id, { login: verifiedMember.login });
+}
+
+/**
+ * Remember when a linked member left, so their link is deleted after the retention period
+ * @param {Object} store - Verification store
+ * @param {GuildMember} member - Member who left
+ */
+async function recordLeave(store, member) {
+  const verifiedMember = await store.getVerifiedMember(member.guild.id, member.user.id);
+  if (!verifiedMember) return;
+
+  await store.saveVerifiedMember({ ...verifiedMember, leftAt: Date.now() });
+  debugVerification('Leave Recorded', member.user.id, { login: verifiedMember.login });
+}
+
+module.exports = {
+  findRevocation,
+  handleReturningMember,
+  recordBan,
+  recordUnban,
+  recordLeave
+};
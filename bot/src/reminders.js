@@ -0,0 +1,253 @@
+const { add42Role, remove42Role, createReminderEmbed, createUnverifiedKickEmbed } = require('./utils');
+const { startVerification } = require('./verification');
+const { EVENT_TYPES, onVerificationEvent } = require('./events');
+const { listConfiguredGuilds } = require('./guild-config');
+const { resolveLocale } = require('./i18n');
+const { debugLog, debugVerification } = require('./debug');
+const { logger, runWithLogContext } = require('./logger');
+const metrics = require('./metrics');
+
+// How often unverified members are checked for due reminders and the grace period
+const CHECK_INTERVAL = 15 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Read the reminder settings of a guild
+ * The schedule and grace period come from the environment, the action and role from the guild config.
+ * @param {Object} guildConfig - Guild config
+ * @returns {Object} - { scheduleHours, graceHours, action, roleId }
+ */
+function getReminderConfig(guildConfig) {
+  const scheduleHours = (process.env.REMINDER_SCHEDULE_HOURS ?? '1,24')
+    .split(',')
+    .map(Number)
+    .filter(hours => hours > 0)
+    .sort((a, b) => a - b);
+
+  // 'kick' removes the member, 'role' gives the unverified role, 'none' only keeps reminding
+  let action = ['kick', 'role'].includes(guildConfig.unverifiedAction) ? guildConfig.unverifiedAction : 'none';
+  const roleId = guildConfig.unverifiedRoleId || null;
+  if (action === 'role' && !roleId) {
+    logger.warn('The role action needs an unverified role, no action will be taken', { guildId: guildConfig.guildId });
+    action = 'none';
+  }
+
+  return {
+    scheduleHours,
+    graceHours: Number(process.env.UNVERIFIED_GRACE_HOURS ?? 72),
+    action,
+    roleId
+  };
+}
+
+/**
+ * Get when the grace period action happens for a member
+ * @param {Object} record - Unverified member record
+ * @param {Object} config - Reminder config
+ * @returns {number|null} - Timestamp, or null if no action is configured
+ */
+function getActionDeadline(record, config) {
+  if (config.action === 'none' || !(config.graceHours > 0)) {
+    return null;
+  }
+  return record.joinedAt + config.graceHours * HOUR;
+}
+
+/**
+ * Stop tracking a member who verified, taking back the unverified role if they had it
+ * @param {Object} store - Verification store
+ * @param {GuildMember|null} member - Discord guild member
+ * @param {Object} record - Unverified member record
+ */
+async function clearUnverifiedMember(store, member, record) {
+  if (member && record.action === 'role' && record.roleId && member.roles.cache.has(record.roleId)) {
+    await remove42Role(member, record.roleId);
+  }
+  await store.deleteUnverifiedMember(record.guildId, record.discordUserId);
+  debugVerification('Unverified Member Cleared', record.discordUserId, { action: record.action });
+}
+
+/**
+ * Kick a member or move them to the unverified role once the grace period is over
+ * @param {Object} context - Shared bot services
+ * @param {GuildMember} member - Discord guild member
+ * @param {Object} record - Unverified member record
+ * @param {Object} config - Reminder config
+ * @returns {Promise<boolean>} - True if the action was taken
+ */
+async function takeUnverifiedAction({ client, store }, member, record, config) {
+  const now = Date.now();
+  const reason = `Not verified within ${config.graceHours} hours of joining`;
+
+  if (config.action === 'kick') {
+    await member.send({ embeds: [createUnverifiedKickEmbed(resolveLocale(record.locale, member.guild.preferredLocale))] })
+      .then(() => metrics.directMessages.inc({ type: 'unverified_kick', result: 'sent' }))
+      .catch(() => metrics.directMessages.inc({ type: 'unverified_kick', result: 'failed' }));
+    try {
+      await member.kick(reason);
+    } catch (error) {
+      logger.warn('Could not kick unverified member', { discordUserId: record.discordUserId, error });
+      return false;
+    }
+    await store.deleteUnverifiedMember(record.guildId, record.discordUserId);
+  } else {
+    if (!(await add42Role(member, config.roleId))) {
+      logger.warn('Could not give the unverified role', { discordUserId: record.discordUserId, roleId: config.roleId });
+      return false;
+    }
+    await store.saveUnverifiedMember({ ...record, action: 'role', roleId: config.roleId, actionTakenAt: now });
+  }
+
+  metrics.unverifiedActions.inc({ action: config.action });
+  await store.recordModAction({
+    guildId: record.guildId,
+    timestamp: now,
+    moderatorId: client.user.id,
+    moderatorUsername: client.user.tag,
+    action: config.action === 'kick' ? 'unverified-kick' : 'unverified-role',
+    targetUserId: record.discordUserId,
+    reason,
+    success: true
+  });
+  debugVerification('Unverified Action Taken', record.discordUserId, { action: config.action, joinedAt: record.joinedAt });
+  logger.info('Grace period over for unverified member', { discordUserId: record.discordUserId, action: config.action });
+  return true;
+}
+
+/**
+ * Send a reminder with a fresh verification link
+ * @param {Object} store - Verification store
+ * @param {GuildMember} member - Discord guild member
+ * @param {Object} record - Unverified member record
+ * @param {Object} config - Reminder config
+ * @returns {Promise<boolean>} - True if the DM was sent
+ */
+async function sendReminder(store, member, record, config) {
+  const locale = resolveLocale(record.locale, member.guild.preferredLocale);
+  const { authUrl } = await startVerification(store, member.user, { guildId: member.guild.id, locale });
+
+  try {
+    await member.send({ embeds: [createReminderEmbed(authUrl, getActionDeadline(record, config), config.action, locale)] });
+    metrics.directMessages.inc({ type: 'reminder', result: 'sent' });
+    debugVerification('Reminder Sent', member.user.id, { remindersSent: (record.remindersSent || 0) + 1 });
+    return true;
+  } catch (error) {
+    metrics.directMessages.inc({ type: 'reminder', result: 'failed' });
+    debugVerification('Reminder Failed', member.user.id, { error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Remind the unverified members of one guild and apply its grace period action
+ * @param {Object} context - Shared bot services
+ * @param {Guild} guild - Discord guild
+ * @param {Object} guildConfig - Guild config
+ * @param {Object} result - Counters to add to: { reminded, actioned, cleared }
+ */
+async function runGuildReminders(context, guild, guildConfig, result) {
+  const { store } = context;
+  const config = getReminderConfig(guildConfig);
+
+  const records = await store.listUnverifiedMembers(guild.id);
+  debugLog('Reminders Run', { guildId: guild.id, unverifiedCount: records.length, ...config });
+
+  for (const record of records) {
+    await runWithLogContext({ guildId: guild.id, discordUserId: record.discordUserId }, async () => {
+      const member = await guild.members.fetch(record.discordUserId).catch(() => null);
+      if (!member) {
+        await store.deleteUnverifiedMember(guild.id, record.discordUserId);
+        result.cleared++;
+        return;
+      }
+
+      // Verified outside the usual flow (role given by hand, event missed during a restart)
+      if (member.roles.cache.has(guildConfig.roleId) || await store.getVerifiedMember(guild.id, record.discordUserId)) {
+        await clearUnverifiedMember(store, member, record);
+        result.cleared++;
+        return;
+      }
+
+      const now = Date.now();
+      const deadline = getActionDeadline(record, config);
+      if (deadline && !record.actionTakenAt && now >= deadline) {
+        if (await takeUnverifiedAction(context, member, record, config)) {
+          result.actioned++;
+        }
+        return;
+      }
+
+      // Several reminders due at once (bot was down): only send one
+      const due = config.scheduleHours.filter(hours => now >= record.joinedAt + hours * HOUR).length;
+      if (due <= (record.remindersSent || 0)) {
+        return;
+      }
+
+      // A new link would replace the one the member may be using right now
+      if (await store.getPendingVerificationByUser(guild.id, record.discordUserId)) {
+        return;
+      }
+
+      await sendReminder(store, member, record, config);
+      // Closed DMs count too, they will not open by themselves
+      await store.saveUnverifiedMember({ ...record, remindersSent: due, lastReminderAt: now });
+      result.reminded++;
+    });
+  }
+}
+
+/**
+ * Remind unverified members on schedule and apply the grace period action, in every set up guild
+ * @param {Object} context - Shared bot services
+ * @returns {Promise<Object>} - { reminded, actioned, cleared }
+ */
+async function runReminders(context) {
+  const result = { reminded: 0, actioned: 0, cleared: 0 };
+
+  for (const { guild, config } of await listConfiguredGuilds(context)) {
+    await runGuildReminders(context, guild, config, result);
+  }
+
+  if (result.reminded > 0 || result.actioned > 0) {
+    logger.info('Reminders run', result);
+  }
+  return result;
+}
+
+/**
+ * Start reminding unverified members, and stop tracking them as soon as they verify
+ * @param {Object} context - Shared bot services
+ * @returns {NodeJS.Timeout|null} - Interval handle, or null if disabled
+ */
+function scheduleReminders(context) {
+  onVerificationEvent(async (event) => {
+    if (event.type !== EVENT_TYPES.COMPLETED) return;
+    const record = await context.store.getUnverifiedMember(event.guildId, event.discordUserId);
+    if (!record) return;
+    const guild = context.client.guilds.cache.get(event.guildId);
+    const member = guild ? await guild.members.fetch(event.discordUserId).catch(() => null) : null;
+    await clearUnverifiedMember(context.store, member, record);
+  });
+
+  // The action is set per guild, so only a schedule and grace period both turned off disable the job
+  const { scheduleHours, graceHours } = getReminderConfig({});
+  if (scheduleHours.length === 0 && !(graceHours > 0)) {
+    debugLog('Reminders Disabled');
+    return null;
+  }
+
+  debugLog('Reminders Scheduled', { scheduleHours, graceHours });
+
+  return setInterval(() => {
+    runReminders(context).catch(error => {
+      logger.error('Reminders error', { error });
+    });
+  }, CHECK_INTERVAL);
+}
+
+module.exports = {
+  getReminderConfig,
+  getActionDeadline,
+  runReminders,
+  scheduleReminders
+};
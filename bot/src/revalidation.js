@@ -0,0 +1,283 @@
+const { 
+  remove42Role, 
+  createRevalidationWarningEmbed, 
+  createRevalidationRemovalEmbed, 
+  createRevalidationReportEmbed 
+} = require('./utils');
+const { reconcileAutoRoles, removeAutoRoles } = require('./auto-roles');
+const { EVENT_TYPES, emitVerificationEvent } = require('./events');
+const { listConfiguredGuilds } = require('./guild-config');
+const { resolveLocale } = require('./i18n');
+const { debugLog, debugVerification } = require('./debug');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+// Only one run at a time, a slow run must not overlap with the next scheduled one
+let running = false;
+
+/**
+ * Read the re-validation settings from the environment
+ * The report channel is a per-guild setting, see guild-config.js.
+ * @returns {Object} - { intervalHours, policy, graceDays, dryRun }
+ */
+function getRevalidationConfig() {
+  return {
+    intervalHours: Number(process.env.REVALIDATION_INTERVAL_HOURS ?? 24),
+    // 'flag' only marks members, 'remove' also takes the role away after the grace period
+    policy: process.env.REVALIDATION_POLICY === 'remove' ? 'remove' : 'flag',
+    graceDays: Number(process.env.REVALIDATION_GRACE_DAYS ?? 7),
+    dryRun: process.env.REVALIDATION_DRY_RUN === 'true' || process.env.REVALIDATION_DRY_RUN === '1'
+  };
+}
+
+/**
+ * Send a DM to a member, ignoring members who closed their DMs
+ * @param {GuildMember|null} member - Discord guild member
+ * @param {EmbedBuilder} embed - Embed to send
+ * @returns {Promise<boolean>} - True if the DM was sent
+ */
+async function notifyMember(member, embed) {
+  if (!member) {
+    return false;
+  }
+  try {
+    await member.send({ embeds: [embed] });
+    metrics.directMessages.inc({ type: 'revalidation', result: 'sent' });
+    return true;
+  } catch (error) {
+    metrics.directMessages.inc({ type: 'revalidation', result: 'failed' });
+    debugVerification('Revalidation DM Failed', member.user.id, { error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Re-check every verified member of a guild against fresh 42 data
+ *
+ * Members that no longer pass the eligibility policy are flagged. With the 'remove' policy a flagged
+ * member is warned by DM, and loses the role and the 42 link once the grace period is over.
+ * Members that pass again are unflagged. In dry-run mode nothing is changed and no DM is sent,
+ * the report only says what would have happened.
+ * @param {Object} context - Shared bot services
+ * @param {Client} context.client - Discord client
+ * @param {Object} context.store - Verification store
+ * @param {FortyTwoAPI} context.fortyTwoAPI - 42 API client
+ * @param {Object} guildConfig - Config of the guild to check, with its role, eligibility policy and auto-role mapping
+ * @param {Object} overrides - Settings overriding getRevalidationConfig()
+ * @returns {Promise<Object>} - Report
+ */
+async function runRevalidation({ client, store, fortyTwoAPI }, guildConfig, overrides = {}) {
+  if (running) {
+    throw new Error('A re-validation run is already in progress');
+  }
+  running = true;
+
+  const config = { ...getRevalidationConfig(), ...overrides };
+  const report = {
+    guildId: guildConfig.guildId,
+    startedAt: Date.now(),
+    finishedAt: null,
+    policy: config.policy,
+    dryRun: config.dryRun,
+    checked: 0,
+    valid: 0,
+    flagged: [],
+    warned: [],
+    removed: [],
+    failed: [],
+    recovered: [],
+    errors: []
+  };
+
+  try {
+    const guild = client.guilds.cache.get(guildConfig.guildId);
+    const roleId = guildConfig.roleId;
+    const verifiedMembers = await store.listVerifiedMembers(guildConfig.guildId);
+
+    debugLog('Revalidation Started', { guildId: guildConfig.guildId, memberCount: verifiedMembers.length, ...config });
+
+    for (const record of verifiedMembers) {
+      // Members who left or were banned have no role to check, rejoining runs the policy again
+      if (record.leftAt || record.bannedAt) continue;
+
+      const now = Date.now();
+      const entry = { discordUserId: record.discordUserId, login: record.login };
+      let userData;
+
+      try {
+        userData = await fortyTwoAPI.getUserByLogin(record.login);
+      } catch (error) {
+        report.errors.push({ ...entry, reason: error.message });
+        continue;
+      }
+
+      report.checked++;
+      const member = guild ? await guild.members.fetch(record.discordUserId).catch(() => null) : null;
+
+      const eligibility = fortyTwoAPI.checkEligibility(userData, guildConfig.policy);
+      if (eligibility.eligible) {
+        report.valid++;
+        if (record.flaggedAt) {
+          report.recovered.push(entry);
+        }
+        if (!config.dryRun) {
+          // Campus, cursus and cohort may have changed since the last check
+          const profile = fortyTwoAPI.createMemberProfile(userData);
+          const autoRoleIds = member
+            ? await reconcileAutoRoles(member, profile, guildConfig.roleMapping, record.autoRoleIds)
+            : record.autoRoleIds;
+          await store.saveVerifiedMember({
+            ...record,
+            ...profile,
+            autoRoleIds,
+            lastCheckedAt: now,
+            flaggedAt: null,
+            flagReason: null,
+            warnedAt: null,
+            warningDelivered: null
+          });
+        }
+        continue;
+      }
+
+      const reason = eligibility.failures.map(failure => failure.message).join('; ');
+      const flaggedAt = record.flaggedAt || now;
+      const gracePeriod = config.graceDays * 24 * 60 * 60 * 1000;
+      report.flagged.push({ ...entry, reason });
+
+      debugVerification('Revalidation Failed', record.discordUserId, { login: record.login, reason, flaggedAt });
+      const locale = resolveLocale(record.locale, guildConfig.locale, guild?.preferredLocale);
+
+      // The grace period starts with the warning, so switching the policy never removes anyone unwarned
+      if (config.policy === 'remove' && record.warnedAt && now >= record.warnedAt + gracePeriod) {
+        if (config.dryRun) {
+          report.removed.push({ ...entry, reason });
+          continue;
+        }
+
+        // Keep the link while the member still holds the role, so the next run tries again
+        if (member && member.roles.cache.has(roleId) && !(await remove42Role(member, roleId))) {
+          report.failed.push({ ...entry, reason: 'Failed to remove the 42 role' });
+          logger.error('Could not remove the 42 role after re-validation', { discordUserId: record.discordUserId, login: record.login });
+          continue;
+        }
+        report.removed.push({ ...entry, reason });
+
+        await notifyMember(member, createRevalidationRemovalEmbed(reason, locale));
+        if (member) {
+          await removeAutoRoles(member, record.autoRoleIds);
+        }
+        await store.deleteVerifiedMember(guildConfig.guildId, record.discordUserId);
+        await store.recordModAction({
+          guildId: guildConfig.guildId,
+          timestamp: now,
+          moderatorId: client.user.id,
+          moderatorUsername: client.user.tag,
+          action: 'revalidation-removal',
+          targetUserId: record.discordUserId,
+          login: record.login,
+          reason,
+          success: true
+        });
+        logger.info('Removed 42 verification after re-validation', { discordUserId: record.discordUserId, login: record.login });
+        emitVerificationEvent(EVENT_TYPES.REVOKED, {
+          guildId: guildConfig.guildId,
+          discordUserId: record.discordUserId,
+          login: record.login,
+          source: 'revalidation',
+          reason
+        });
+        continue;
+      }
+
+      // Warn once, before any removal can happen
+      const shouldWarn = config.policy === 'remove' && !record.warnedAt;
+      if (shouldWarn) {
+        report.warned.push({ ...entry, reason, graceEndsAt: now + gracePeriod });
+      }
+      if (config.dryRun) {
+        continue;
+      }
+
+      const warned = shouldWarn && await notifyMember(member, createRevalidationWarningEmbed(reason, now + gracePeriod, locale));
+      await store.saveVerifiedMember({
+        ...record,
+        lastCheckedAt: now,
+        flaggedAt,
+        flagReason: reason,
+        // Members with closed DMs still get the full grace period, counted from the attempt
+        warnedAt: record.warnedAt || (shouldWarn ? now : null),
+        warningDelivered: record.warnedAt ? record.warningDelivered : warned
+      });
+    }
+
+    report.finishedAt = Date.now();
+    debugLog('Revalidation Complete', {
+      checked: report.checked,
+      valid: report.valid,
+      flagged: report.flagged.length,
+      removed: report.removed.length,
+      failed: report.failed.length,
+      errors: report.errors.length,
+      dryRun: report.dryRun
+    });
+    logger.info('Re-validation finished', {
+      guildId: guildConfig.guildId,
+      dryRun: report.dryRun,
+      checked: report.checked,
+      flagged: report.flagged.length,
+      removed: report.removed.length,
+      failed: report.failed.length,
+      errors: report.errors.length
+    });
+
+    return report;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Run the re-validation every REVALIDATION_INTERVAL_HOURS in each set up guild
+ * and post each report to the guild's report channel
+ * @param {Object} context - Shared bot services
+ * @returns {NodeJS.Timeout|null} - Interval handle, or null when disabled
+ */
+function scheduleRevalidation(context) {
+  const { intervalHours } = getRevalidationConfig();
+  if (!(intervalHours > 0)) {
+    debugLog('Revalidation Disabled');
+    return null;
+  }
+
+  debugLog('Revalidation Scheduled', { intervalHours });
+
+  return setInterval(async () => {
+    let guilds;
+    try {
+      guilds = await listConfiguredGuilds(context);
+    } catch (error) {
+      logger.error('Re-validation error', { error });
+      return;
+    }
+
+    for (const { config } of guilds) {
+      try {
+        const report = await runRevalidation(context, config);
+        if (!config.reportChannelId) {
+          continue;
+        }
+        const channel = await context.client.channels.fetch(config.reportChannelId);
+        await channel.send({ embeds: [createRevalidationReportEmbed(report)] });
+      } catch (error) {
+        logger.error('Re-validation error', { guildId: config.guildId, error });
+      }
+    }
+  }, intervalHours * 60 * 60 * 1000);
+}
+
+module.exports = {
+  getRevalidationConfig,
+  runRevalidation,
+  scheduleRevalidation
+};
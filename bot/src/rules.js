@@ -0,0 +1,378 @@
+const fs = require('fs');
+const path = require('path');
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { remove42Role, add42Role, createRulesUpdateEmbed, createRulesDowngradeEmbed } = require('./utils');
+const { startVerification } = require('./verification');
+const { resolveLocale, getDefaultLocale, t } = require('./i18n');
+const { debugLog, debugVerification } = require('./debug');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+// Custom ID prefix of the "Review the new rules" button sent in re-acceptance DMs, followed by the guild ID
+const REACCEPT_BUTTON_ID = 'rules:reaccept';
+
+/**
+ * Default rules: a single section with the historical queer identity checkbox
+ *
+ * - version: bump it when the rules change
+ * - reacceptBy: ISO date before which members on an older version must re-accept (null: no re-acceptance)
+ * - downgrade: after reacceptBy, remove the 42 role (enabled) and optionally give roleId instead
+ * - sections: ordered steps, each with a required checkbox and an optional free-text question
+ *
+ * Texts are either a string or an object keyed by locale code.
+ */
+const DEFAULT_RULES = {
+  version: 1,
+  reacceptBy: null,
+  downgrade: {
+    enabled: false,
+    roleId: null
+  },
+  sections: [
+    {
+      id: 'identity',
+      title: { en: 'Queer space', fr: 'Espace queer' },
+      body: null,
+      checkbox: { en: 'I identify as queer', fr: 'Je m\'identifie comme queer' },
+      question: null
+    }
+  ]
+};
+
+/**
+ * Build rules from a parsed rules file on top of the defaults
+ * @param {Object} overrides - Rules keys to change
+ * @returns {Object} - Rules
+ * @throws {Error} - If the resulting rules are invalid
+ */
+function buildRules(overrides) {
+  const rules = { ...DEFAULT_RULES, ...overrides };
+  rules.downgrade = { ...DEFAULT_RULES.downgrade, ...rules.downgrade };
+
+  if (!Array.isArray(rules.sections) || rules.sections.length === 0) {
+    throw new Error('Rules must have at least one section');
+  }
+  for (const [index, section] of rules.sections.entries()) {
+    if (!section.id || !section.checkbox) {
+      throw new Error(`Rules section ${index + 1} needs an id and a checkbox`);
+    }
+  }
+  if (rules.reacceptBy && Number.isNaN(Date.parse(rules.reacceptBy))) {
+    throw new Error(`Invalid rules reacceptBy date: ${rules.reacceptBy}`);
+  }
+  return rules;
+}
+
+/**
+ * Load the rules from a JSON file
+ * @param {string} filename - Path to the rules file (default: RULES_CONFIG_PATH or ./config/rules.json)
+ * @returns {Object} - Rules
+ */
+function loadRules(filename = process.env.RULES_CONFIG_PATH || './config/rules.json') {
+  const resolved = path.resolve(filename);
+
+  if (!fs.existsSync(resolved)) {
+    debugLog('Rules File Not Found, Using Defaults', { filename: resolved });
+    return DEFAULT_RULES;
+  }
+
+  const rules = buildRules(JSON.parse(fs.readFileSync(resolved, 'utf8')));
+
+  debugLog('Rules Loaded', { filename: resolved, version: rules.version, sectionCount: rules.sections.length });
+  return rules;
+}
+
+/**
+ * Pick the text for a locale from a string or a { locale: text } object
+ * @param {string|Object|null} value - Text or translations
+ * @param {string} locale - Locale code
+ * @returns {string|null} - Text
+ */
+function localize(value, locale) {
+  if (!value || typeof value === 'string') {
+    return value || null;
+  }
+  return value[locale] ?? value[getDefaultLocale()] ?? Object.values(value)[0] ?? null;
+}
+
+/**
+ * Get a rules section translated for display
+ * @param {Object} rules - Rules
+ * @param {number} index - Section index
+ * @param {string} locale - Locale code
+ * @returns {Object} - { id, title, paragraphs, checkbox, question }
+ */
+function getLocalizedSection(rules, index, locale) {
+  const section = rules.sections[index];
+  return {
+    id: section.id,
+    title: localize(section.title, locale),
+    paragraphs: (localize(section.body, locale) || '').split(/\n\s*\n/).filter(Boolean),
+    checkbox: localize(section.checkbox, locale),
+    question: section.question
+      ? {
+          label: localize(section.question.label, locale),
+          required: !!section.question.required,
+          maxLength: section.question.maxLength || 1000
+        }
+      : null
+  };
+}
+
+/**
+ * Check if a verified member has to re-accept the rules
+ * Only the case once a re-acceptance deadline is published for a version they have not accepted.
+ * @param {Object} rules - Rules
+ * @param {Object} verifiedMember - Verified member record
+ * @returns {boolean} - True if the member is on an older rules version
+ */
+function needsRulesReacceptance(rules, verifiedMember) {
+  return !!rules.reacceptBy && String(verifiedMember.rulesVersion) !== String(rules.version);
+}
+
+/**
+ * Ask the members of a guild on an older rules version to re-accept, and downgrade those who missed the deadline
+ * Each member gets one reminder DM per version and is downgraded at most once per version.
+ * @param {Object} store - Verification store
+ * @param {Guild} guild - Discord guild
+ * @param {Object} guildConfig - Guild config, with its rules
+ * @param {Object} result - Counters to add to: { reminded, downgraded }
+ */
+async function runGuildRulesCampaign(store, guild, guildConfig, result) {
+  const { rules } = guildConfig;
+  if (!rules.reacceptBy) {
+    return;
+  }
+
+  const deadline = Date.parse(rules.reacceptBy);
+  const outdated = (await store.listVerifiedMembers(guild.id))
+    .filter(verifiedMember => needsRulesReacceptance(rules, verifiedMember));
+
+  debugLog('Rules Campaign', { guildId: guild.id, version: rules.version, deadline: rules.reacceptBy, outdatedCount: outdated.length });
+
+  for (const verifiedMember of outdated) {
+    // One failing member must not keep the rest of the guild from being reminded or downgraded
+    try {
+      await runMemberRulesCampaign(store, guild, guildConfig, verifiedMember, deadline, result);
+    } catch (error) {
+      logger.error('Rules campaign error', { guildId: guild.id, discordUserId: verifiedMember.discordUserId, error });
+    }
+  }
+}
+
+/**
+ * Remind one outdated member, or downgrade them once the deadline passed
+ * @param {Object} store - Verification store
+ * @param {Guild} guild - Discord guild
+ * @param {Object} guildConfig - Guild config, with its rules
+ * @param {Object} verifiedMember - Verified member on an older rules version
+ * @param {number} deadline - Re-acceptance deadline timestamp
+ * @param {Object} result - Counters to add to: { reminded, downgraded }
+ */
+async function runMemberRulesCampaign(store, guild, guildConfig, verifiedMember, deadline, result) {
+  const { rules } = guildConfig;
+  const member = await guild.members.fetch(verifiedMember.discordUserId).catch(() => null);
+  if (!member) return;
+  const locale = resolveLocale(verifiedMember.locale, guildConfig.locale, guild.preferredLocale);
+
+  if (Date.now() >= deadline) {
+    if (!rules.downgrade.enabled || String(verifiedMember.rulesDowngradedVersion) === String(rules.version)) return;
+
+    // The downgrade is only recorded once the roles changed, so a failed one is tried again on the next run
+    if (!await remove42Role(member, guildConfig.roleId)) return;
+    if (rules.downgrade.roleId && !await add42Role(member, rules.downgrade.roleId)) {
+      await add42Role(member, guildConfig.roleId);
+      return;
+    }
+    await store.saveVerifiedMember({ ...verifiedMember, rulesDowngradedVersion: rules.version, rulesDowngradedAt: Date.now() });
+    await member.send({ embeds: [createRulesDowngradeEmbed(locale)], components: [createReacceptButtonRow(guild.id, locale)] })
+      .then(() => metrics.directMessages.inc({ type: 'rules_downgrade', result: 'sent' }))
+      .catch(() => metrics.directMessages.inc({ type: 'rules_downgrade', result: 'failed' }));
+
+    debugVerification('Rules Downgrade', member.user.id, { version: rules.version });
+    result.downgraded++;
+    return;
+  }
+
+  if (String(verifiedMember.rulesReminderVersion) === String(rules.version)) return;
+
+  try {
+    await member.send({ embeds: [createRulesUpdateEmbed(deadline, locale)], components: [createReacceptButtonRow(guild.id, locale)] });
+    metrics.directMessages.inc({ type: 'rules_reminder', result: 'sent' });
+    debugVerification('Rules Reminder Sent', member.user.id, { version: rules.version });
+  } catch (error) {
+    metrics.directMessages.inc({ type: 'rules_reminder', result: 'failed' });
+    debugVerification('Rules Reminder Failed', member.user.id, { error: error.message });
+  }
+  // Only try once per version, closed DMs will not open by themselves
+  await store.saveVerifiedMember({ ...verifiedMember, rulesReminderVersion: rules.version });
+  result.reminded++;
+}
+
+/**
+ * Run the rules campaign of every set up guild, each with its own rules
+ * @param {Object} context - Shared bot services
+ * @returns {Promise<Object>} - { reminded, downgraded }
+ */
+async function runRulesCampaign(context) {
+  // Required here because guild-config builds each guild's rules with this module
+  const { listConfiguredGuilds } = require('./guild-config');
+  const result = { reminded: 0, downgraded: 0 };
+
+  for (const { guild, config } of await listConfiguredGuilds(context)) {
+    await runGuildRulesCampaign(context.store, guild, config, result);
+  }
+
+  if (result.reminded > 0 || result.downgraded > 0) {
+    logger.info('Rules campaign run', result);
+  }
+  return result;
+}
+
+/**
+ * Build the button row linking a DM to the re-acceptance flow
+ * @param {string} guildId - Discord guild whose rules the member has to accept
+ * @param {string} locale - Locale code
+ * @returns {ActionRowBuilder} - Button row
+ */
+function createReacceptButtonRow(guildId, locale) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${REACCEPT_BUTTON_ID}:${guildId}`)
+      .setLabel(t(locale, 'embeds.rulesUpdate.button'))
+      .setStyle(ButtonStyle.Primary)
+  );
+}
+
+/**
+ * Read the guild of a "Review the new rules" button
+ * Buttons sent before multi-guild support carry no guild and belong to DISCORD_GUILD_ID.
+ * @param {string} customId - Button custom ID
+ * @returns {string|null} - Discord guild ID, or null if the button is not a re-acceptance button
+ */
+function parseReacceptButtonId(customId) {
+  if (customId === REACCEPT_BUTTON_ID) {
+    return process.env.DISCORD_GUILD_ID || null;
+  }
+  return customId.startsWith(`${REACCEPT_BUTTON_ID}:`) ? customId.slice(REACCEPT_BUTTON_ID.length + 1) : null;
+}
+
+/**
+ * Start a rules-only verification for an already verified member
+ * The 42 login is already known, so the member goes straight to the rules pages.
+ * @param {Object} store - Verification store
+ * @param {User} user - Discord user
+ * @param {Object} verifiedMember - Verified member record
+ * @param {string} locale - Locale code
+ * @returns {Promise<string>} - Rules page URL
+ */
+async function startRulesReacceptance(store, user, verifiedMember, locale) {
+  const { state } = await startVerification(store, user, { guildId: verifiedMember.guildId, locale });
+  await store.updatePendingVerification(state, {
+    step: 'rules_pending',
+    purpose: 'reaccept',
+    profile: { login: verifiedMember.login }
+  });
+  return `${process.env.BASE_URL}/auth/rules?state=${encodeURIComponent(state)}&lang=${locale}`;
+}
+
+/**
+ * Record a verified member's acceptance of the current rules, restoring their role if it was downgraded
+ * @param {Object} context - Shared bot services, with the guildConfig of the verification's guild
+ * @param {Object} verification - Pending verification with purpose 'reaccept'
+ * @param {Object} answers - Free-text answers by section ID
+ * @returns {Promise<Object>} - Updated verified member
+ */
+async function completeRulesReacceptance({ client, store, guildConfig }, verification, answers) {
+  const { rules } = guildConfig;
+  const verifiedMember = await store.getVerifiedMember(verification.guildId, verification.discordUserId);
+  // A banned member's link is not trusted anymore, even after the ban was lifted
+  if (!verifiedMember || verifiedMember.bannedAt) {
+    throw new Error('You are no longer verified, please use /verify in the server');
+  }
+
+  const acceptedAt = Date.now();
+  const { rulesDowngradedVersion, rulesDowngradedAt, ...record } = verifiedMember;
+
+  // Give back what the deadline took away
+  if (rulesDowngradedVersion !== undefined) {
+    const guild = client.guilds.cache.get(verification.guildId);
+    const member = guild ? await guild.members.fetch(verification.discordUserId).catch(() => null) : null;
+    if (!member) {
+      throw new Error('Member not found in guild');
+    }
+    if (!await add42Role(member, guildConfig.roleId)) {
+      throw new Error('Failed to restore the 42 role');
+    }
+    if (rules.downgrade.roleId) {
+      await remove42Role(member, rules.downgrade.roleId);
+    }
+    debugVerification('Rules Downgrade Lifted', verification.discordUserId, { downgradedAt: rulesDowngradedAt });
+  }
+
+  const updated = await store.saveVerifiedMember({
+    ...record,
+    rulesVersion: rules.version,
+    rulesAcceptedAt: acceptedAt,
+    locale: verification.locale
+  });
+  await store.recordRulesAcceptance({
+    guildId: verification.guildId,
+    discordUserId: verification.discordUserId,
+    version: rules.version,
+    acceptedAt,
+    answers
+  });
+
+  debugVerification('Rules Reaccepted', verification.discordUserId, { version: rules.version });
+  return updated;
+}
+
+/**
+ * Answer a click on the "Review the new rules" button with a personal rules link
+ * @param {ButtonInteraction} interaction - Button interaction
+ * @param {Object} context - Shared bot services, with the guildConfig of the button's guild
+ */
+async function handleReacceptButton(interaction, { store, guildConfig }) {
+  const locale = resolveLocale(interaction.locale, guildConfig.locale);
+  const verifiedMember = await store.getVerifiedMember(guildConfig.guildId, interaction.user.id);
+
+  if (!verifiedMember) {
+    return interaction.reply({ content: t(locale, 'embeds.rulesUpdate.notVerified'), ephemeral: true });
+  }
+  if (!needsRulesReacceptance(guildConfig.rules, verifiedMember)) {
+    return interaction.reply({ content: t(locale, 'embeds.rulesUpdate.upToDate'), ephemeral: true });
+  }
+
+  const url = await startRulesReacceptance(store, interaction.user, verifiedMember, locale);
+  await interaction.reply({ content: t(locale, 'embeds.rulesUpdate.link', { url }), ephemeral: true });
+}
+
+/**
+ * Run the rules campaign every hour
+ * @param {Object} context - Shared bot services
+ * @returns {NodeJS.Timeout} - Interval handle
+ */
+function scheduleRulesCampaign(context) {
+  const run = () => runRulesCampaign(context).catch(error => {
+    logger.error('Rules campaign error', { error });
+  });
+  run();
+  return setInterval(run, 60 * 60 * 1000);
+}
+
+module.exports = {
+  REACCEPT_BUTTON_ID,
+  DEFAULT_RULES,
+  buildRules,
+  loadRules,
+  localize,
+  getLocalizedSection,
+  needsRulesReacceptance,
+  runRulesCampaign,
+  parseReacceptButtonId,
+  startRulesReacceptance,
+  completeRulesReacceptance,
+  handleReacceptButton,
+  scheduleRulesCampaign
+};
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const { debugLog } = require('./debug');
+const { logger } = require('./logger');
+
+// Cookie binding the browser that went through the 42 login to its pending verification
+const SESSION_COOKIE = 'queernel_rules';
+const SESSION_MAX_AGE = 10 * 60 * 1000;
+
+let secret = null;
+
+/**
+ * Get the secret used to sign cookies and OAuth2 states
+ * Without SESSION_SECRET a random one is generated, so sessions do not survive a restart.
+ * @returns {Buffer} - Signing secret
+ */
+function getSessionSecret() {
+  if (!secret) {
+    if (process.env.SESSION_SECRET) {
+      secret = Buffer.from(process.env.SESSION_SECRET);
+    } else {
+      logger.warn('SESSION_SECRET is not set, using a random secret: verification links and rules pages issued before a restart will stop working');
+      secret = crypto.randomBytes(32);
+    }
+  }
+  return secret;
+}
+
+/**
+ * Sign a value with HMAC-SHA256
+ * @param {string} value - Value to sign
+ * @returns {string} - `value.signature`
+ */
+function signValue(value) {
+  const signature = crypto.createHmac('sha256', getSessionSecret()).update(value).digest('base64url');
+  return `${value}.${signature}`;
+}
+
+/**
+ * Check a signed value and return what was signed
+ * @param {string} signed - `value.signature`
+ * @returns {string|null} - Value, or null if the signature does not match
+ */
+function verifySignedValue(signed) {
+  if (typeof signed !== 'string') return null;
+
+  const separator = signed.lastIndexOf('.');
+  if (separator <= 0) return null;
+
+  const value = signed.slice(0, separator);
+  const expected = Buffer.from(signValue(value));
+  const actual = Buffer.from(signed);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} - True if both are equal non-empty strings
+ */
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || !a) return false;
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Create the session and CSRF token of a rules step, to be stored on the pending verification
+ * @returns {Object} - { sessionId, csrfToken }
+ */
+function createRulesSession() {
+  return {
+    sessionId: crypto.randomBytes(16).toString('hex'),
+    csrfToken: crypto.randomBytes(32).toString('base64url')
+  };
+}
+
+/**
+ * Set a signed cookie that expires with its signature
+ * @param {Response} res - Express response
+ * @param {string} name - Cookie name
+ * @param {string} value - Value to sign, without dots at the end
+ * @param {Object} options - Cookie scope
+ * @param {string} options.path - Path the cookie is sent to
+ * @param {number} options.maxAge - Validity in milliseconds
+ */
+function setSignedCookie(res, name, value, { path, maxAge }) {
+  const expiresAt = Date.now() + maxAge;
+  res.cookie(name, signValue(`${value}.${expiresAt}`), {
+    httpOnly: true,
+    secure: (process.env.BASE_URL || '').startsWith('https://'),
+    sameSite: 'lax',
+    path,
+    maxAge
+  });
+}
+
+/**
+ * Read a signed cookie set by setSignedCookie
+ * @param {Request} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} - Value, or null if missing, tampered with or expired
+ */
+function readSignedCookie(req, name) {
+  const cookies = Object.fromEntries((req.headers.cookie || '').split(';').map(cookie => {
+    const separator = cookie.indexOf('=');
+    return separator < 0 ? [cookie.trim(), ''] : [cookie.slice(0, separator).trim(), cookie.slice(separator + 1).trim()];
+  }));
+
+  const signed = verifySignedValue(cookies[name] ? decodeURIComponent(cookies[name]) : null);
+  if (!signed) return null;
+
+  const separator = signed.lastIndexOf('.');
+  const expiresAt = Number(signed.slice(separator + 1));
+  if (!(expiresAt > Date.now())) {
+    debugLog('Session Cookie Expired', { name, expiresAt });
+    return null;
+  }
+  return signed.slice(0, separator);
+}
+
+/**
+ * Set the short-lived signed session cookie
+ * @param {Response} res - Express response
+ * @param {string} sessionId - Session ID of the pending verification
+ */
+function setSessionCookie(res, sessionId) {
+  setSignedCookie(res, SESSION_COOKIE, sessionId, { path: '/auth/rules', maxAge: SESSION_MAX_AGE });
+}
+
+/**
+ * Remove the session cookie once the rules step is over
+ * @param {Response} res - Express response
+ */
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/auth/rules' });
+}
+
+/**
+ * Read the session ID from the signed cookie
+ * @param {Request} req - Express request
+ * @returns {string|null} - Session ID, or null if missing, tampered with or expired
+ */
+function readSessionCookie(req) {
+  return readSignedCookie(req, SESSION_COOKIE);
+}
+
+/**
+ * Check that a rules form submission comes from the browser bound to the pending verification
+ * Both the session cookie and the CSRF token from the form must match.
+ * @param {Request} req - Express request
+ * @param {Object} verification - Pending verification
+ * @returns {boolean} - True if the submission can be trusted
+ */
+function checkRulesSession(req, verification) {
+  return safeEqual(readSessionCookie(req), verification.sessionId)
+    && safeEqual(req.body.csrf, verification.csrfToken);
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  signValue,
+  verifySignedValue,
+  safeEqual,
+  createRulesSession,
+  setSignedCookie,
+  readSignedCookie,
+  setSessionCookie,
+  clearSessionCookie,
+  readSessionCookie,
+  checkRulesSession
+};
@@ -0,0 +1,18 @@
+// Error code thrown when a 42 login is already linked to another Discord user
+const LOGIN_ALREADY_LINKED = 'LOGIN_ALREADY_LINKED';
+
+/**
+ * Create the error thrown when a 42 login is already linked to another Discord user
+ * @param {string} login - 42 login
+ * @returns {Error} - Error with code LOGIN_ALREADY_LINKED
+ */
+function createLoginAlreadyLinkedError(login) {
+  const error = new Error(`42 account ${login} is already linked to another Discord account`);
+  error.code = LOGIN_ALREADY_LINKED;
+  return error;
+}
+
+module.exports = {
+  LOGIN_ALREADY_LINKED,
+  createLoginAlreadyLinkedError
+};
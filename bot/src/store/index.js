@@ -0,0 +1,124 @@
+const MemoryStore = require('./memory-store');
+const { LOGIN_ALREADY_LINKED } = require('./errors');
+const { debugLog } = require('../debug');
+
+/**
+ * Verification store interface.
+ *
+ * Every implementation exposes the same async methods:
+ * - savePendingVerification(state, verification)
+ * - getPendingVerification(state)
+ * - updatePendingVerification(state, changes)
+ * - claimPendingVerification(state, fromStep, toStep)
+ * - deletePendingVerification(state)
+ * - getPendingVerificationByUser(guildId, discordUserId)
+ * - deletePendingVerificationsByUser(guildId, discordUserId)
+ * - listPendingVerifications(guildId)
+ * - countPendingVerifications()
+ * - deleteExpiredVerifications(cutoff)
+ * - saveVerifiedMember(member)
+ * - getVerifiedMember(guildId, discordUserId)
+ * - getVerifiedMemberByLogin(guildId, login)
+ * - deleteVerifiedMember(guildId, discordUserId)
+ * - listVerifiedMembers(guildId?)
+ * - countVerifiedMembers()
+ * - recordModAction(action)
+ * - listModActions({ guildId, targetUserId, limit })
+ * - recordRulesAcceptance(acceptance)
+ * - listRulesAcceptances(guildId, discordUserId)
+ * - saveUnverifiedMember(member)
+ * - getUnverifiedMember(guildId, discordUserId)
+ * - deleteUnverifiedMember(guildId, discordUserId)
+ * - listUnverifiedMembers(guildId?)
+ * - getGuildConfig(guildId)
+ * - saveGuildConfig(config)
+ * - recordVerificationEvent(event)
+ * - listVerificationEvents({ guildId, type, since, limit })
+ * - deleteVerificationEventsBefore(cutoff)
+ * - deleteVerifiedMembersLeftBefore(cutoff)
+ * - listUserData(discordUserId)
+ * - deleteUserData(discordUserId)
+ * - recordErasureRequest(request)
+ * - listErasureRequests({ guildId, limit })
+ * - recordWebhookDeadLetter(deadLetter)
+ * - getWebhookDeadLetter(id)
+ * - listWebhookDeadLetters({ guildId, limit })
+ * - deleteWebhookDeadLetter(id)
+ * - close()
+ *
+ * Every record below also holds the `guildId` of the Discord server it belongs to: a member verifies
+ * (and is moderated) separately in each server running the bot.
+ *
+ * A pending verification is `{ state, verificationId, guildId, discordUserId, discordUsername, timestamp, step, profile? }`
+ * where `step` is `'oauth_pending'` until the 42 callback claims it (`'oauth_callback'`), then `'rules_pending'`
+ * with the member `profile` built from the 42 account (never the raw 42 payload).
+ * With PKCE it also holds the `codeVerifier` until the authorization code is exchanged.
+ * While on the rules pages it also tracks `rulesStep` (index of the current section) and `rulesAnswers`,
+ * and holds the `sessionId` of the browser's signed cookie and the `csrfToken` of the rules forms.
+ * Verified members re-accepting new rules skip OAuth: their verification has `purpose: 'reaccept'`.
+ *
+ * A verified member is `{ discordUserId, discordUsername, login, campus, cursus, poolYear, poolMonth,
+ * verifiedAt, rulesAcceptedAt, rulesVersion }`, where `campus` is `[{ id, name }]` and `cursus` is
+ * `[{ id, name, endAt }]`: only what auto-roles and moderators need. A 42 login can only be linked to one
+ * Discord user of a server at a time: saving a second link throws an error with code LOGIN_ALREADY_LINKED.
+ * The record outlives the membership: a member who leaves and rejoins is restored from it, unless
+ * `bannedAt` (and `banReason`) were set when they were banned. Lifting the ban sets `unbannedAt` and keeps them.
+ * `leftAt` is set when the member leaves, and the record is deleted `DATA_RETENTION_DAYS` later.
+ *
+ * A moderator action is `{ id, timestamp, moderatorId, moderatorUsername, action, targetUserId?,
+ * login?, reason?, success, error? }`, kept as a permanent trace of `/mod` usage.
+ *
+ * A rules acceptance is `{ id, discordUserId, version, acceptedAt, answers }`, one per accepted
+ * rules version, where `answers` maps section IDs to the free-text answer (or null).
+ *
+ * An unverified member is `{ discordUserId, discordUsername, joinedAt, locale, remindersSent,
+ * lastReminderAt, actionTakenAt?, action? }`, tracked from the join until the member verifies or leaves,
+ * for verification reminders and the grace period action (`'kick'` or `'role'`).
+ *
+ * A guild config is `{ guildId, updatedAt, updatedBy, ...overrides }`, holding only the settings a server
+ * changed with `/admin config` (see guild-config.js for the fields and their defaults).
+ *
+ * A verification event is `{ id, type, timestamp, guildId, verificationId, discordUserId, ... }` as emitted
+ * on the events bus (see events.js), kept for `DASHBOARD_HISTORY_DAYS` to show failures and declines
+ * on the dashboard.
+ *
+ * An erasure request is `{ id, discordUserId, requestedAt, requestedIn, guildIds, deleted, rolesRemoved }`,
+ * kept for moderators after `/privacy delete` erased everything else about the member: `guildIds` lists
+ * the servers that held their data and `deleted` counts the erased records by kind.
+ *
+ * A webhook dead letter is `{ id, guildId, discordUserId, url, payload, attempts, lastError, failedAt }`:
+ * a webhook delivery that failed every attempt (see webhooks.js), kept until an administrator
+ * redelivers it with `/admin webhooks retry`.
+ */
+
+/**
+ * Create the store selected by the environment
+ * @param {Object} options - Store options
+ * @param {string} options.driver - 'sqlite' or 'memory' (default: STORE_DRIVER or 'sqlite')
+ * @param {string} options.filename - SQLite database path (default: DATABASE_PATH or './data/queernel.db')
+ * @returns {MemoryStore|SqliteStore} - Store instance
+ */
+function createStore(options = {}) {
+  const driver = options.driver || process.env.STORE_DRIVER || 'sqlite';
+  const filename = options.filename || process.env.DATABASE_PATH || './data/queernel.db';
+
+  debugLog('Creating Store', { driver, filename: driver === 'sqlite' ? filename : undefined });
+
+  switch (driver) {
+    case 'memory':
+      return new MemoryStore();
+    case 'sqlite': {
+      // Required lazily so the memory driver works without the native module
+      const SqliteStore = require('./sqlite-store');
+      return new SqliteStore(filename);
+    }
+    default:
+      throw new Error(`Unknown store driver: ${driver}`);
+  }
+}
+
+module.exports = {
+  createStore,
+  MemoryStore,
+  LOGIN_ALREADY_LINKED
+};
@@ -0,0 +1,554 @@
+const { debugLog } = require('../debug');
+const { createLoginAlreadyLinkedError } = require('./errors');
+
+/**
+ * Build the key of a per-guild member record
+ * @param {string} guildId - Discord guild ID
+ * @param {string} discordUserId - Discord user ID
+ * @returns {string} - Map key
+ */
+function memberKey(guildId, discordUserId) {
+  return `${guildId}:${discordUserId}`;
+}
+
+/**
+ * In-memory implementation of the verification store.
+ * Everything is lost on restart, so this is only meant for tests and local development.
+ */
+class MemoryStore {
+  constructor() {
+    this.pendingVerifications = new Map();
+    this.verifiedMembers = new Map();
+    this.modActions = [];
+    this.rulesAcceptances = [];
+    this.unverifiedMembers = new Map();
+    this.guildConfigs = new Map();
+    this.verificationEvents = [];
+    // Old events are deleted, so IDs cannot come from the array length
+    this.lastVerificationEventId = 0;
+    this.erasureRequests = [];
+    this.webhookDeadLetters = [];
+    this.lastWebhookDeadLetterId = 0;
+    debugLog('Memory Store Opened');
+  }
+
+  /**
+   * Save (or replace) a pending verification
+   * @param {string} state - OAuth2 state parameter
+   * @param {Object} verification - Verification data
+   * @returns {Promise<Object>} - Stored verification
+   */
+  async savePendingVerification(state, verification) {
+    const record = { step: 'oauth_pending', ...verification, state };
+    this.pendingVerifications.set(state, record);
+    return { ...record };
+  }
+
+  /**
+   * Get a pending verification by state
+   * @param {string} state - OAuth2 state parameter
+   * @returns {Promise<Object|null>} - Verification data or null
+   */
+  async getPendingVerification(state) {
+    const record = this.pendingVerifications.get(state);
+    return record ? { ...record } : null;
+  }
+
+  /**
+   * Merge changes into an existing pending verification
+   * @param {string} state - OAuth2 state parameter
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object|null>} - Updated verification or null if not found
+   */
+  async updatePendingVerification(state, changes) {
+    const record = this.pendingVerifications.get(state);
+    if (!record) {
+      return null;
+    }
+    return this.savePendingVerification(state, { ...record, ...changes });
+  }
+
+  /**
+   * Atomically move a pending verification from one step to the next
+   * Only one caller can claim a given step, which makes it single-use.
+   * @param {string} state - OAuth2 state parameter
+   * @param {string} fromStep - Step the verification must be on
+   * @param {string} toStep - Step to move it to
+   * @returns {Promise<Object|null>} - Updated verification, or null if not found or on another step
+   */
+  async claimPendingVerification(state, fromStep, toStep) {
+    const record = this.pendingVerifications.get(state);
+    if (!record || record.step !== fromStep) {
+      return null;
+    }
+    record.step = toStep;
+    return { ...record };
+  }
+
+  /**
+   * Delete a pending verification
+   * @param {string} state - OAuth2 state parameter
+   * @returns {Promise<boolean>} - True if a verification was deleted
+   */
+  async deletePendingVerification(state) {
+    return this.pendingVerifications.delete(state);
+  }
+
+  /**
+   * Get the most recent pending verification of a Discord user in a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} discordUserId - Discord user ID
+   * @returns {Promise<Object|null>} - Verification data or null
+   */
+  async getPendingVerificationByUser(guildId, discordUserId) {
+    let latest = null;
+    for (const record of this.pendingVerifications.values()) {
+      if (record.guildId === guildId && record.discordUserId === discordUserId && (!latest || record.timestamp > latest.timestamp)) {
+        latest = record;
+      }
+    }
+    return latest ? { ...latest } : null;
+  }
+
+  /**
+   * Delete every pending verification of a Discord user in a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} discordUserId - Discord user ID
+   * @returns {Promise<number>} - Number of verifications deleted
+   */
+  async deletePendingVerificationsByUser(guildId, discordUserId) {
+    let deletedCount = 0;
+    for (const [state, record] of this.pendingVerifications.entries()) {
+      if (record.guildId === guildId && record.discordUserId === discordUserId) {
+        this.pendingVerifications.delete(state);
+        deletedCount++;
+      }
+    }
+    return deletedCount;
+  }
+
+  /**
+   * List the pending verifications of a guild, most recent first
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Array<Object>>} - Pending verifications
+   */
+  async listPendingVerifications(guildId) {
+    return [...this.pendingVerifications.values()]
+      .filter(record => record.guildId === guildId)
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .map(record => ({ ...record }));
+  }
+
+  /**
+   * Count pending verifications
+   * @returns {Promise<number>} - Number of pending verifications
+   */
+  async countPendingVerifications() {
+    return this.pendingVerifications.size;
+  }
+
+  /**
+   * Delete every pending verification started before the cutoff
+   * @param {number} cutoff - Timestamp in milliseconds
+   * @returns {Promise<Array<Object>>} - Deleted verifications
+   */
+  async deleteExpiredVerifications(cutoff) {
+    const expired = [];
+    for (const [state, record] of this.pendingVerifications.entries()) {
+      if (record.timestamp < cutoff) {
+        this.pendingVerifications.delete(state);
+        expired.push({ ...record });
+      }
+    }
+    return expired;
+  }
+
+  /**
+   * Save (or replace) a verified member
+   * @param {Object} member - Verified member record, keyed by guildId and discordUserId
+   * @returns {Promise<Object>} - Stored member
+   * @throws {Error} - With code LOGIN_ALREADY_LINKED if the 42 login belongs to another Discord user of the guild
+   */
+  async saveVerifiedMember(member) {
+    const existing = await this.getVerifiedMemberByLogin(member.guildId, member.login);
+    if (existing && existing.discordUserId !== member.discordUserId) {
+      throw createLoginAlreadyLinkedError(member.login);
+    }
+
+    this.verifiedMembers.set(memberKey(member.guildId, member.discordUserId), { ...member });
+    return { ...member };
+  }
+
+  /**
+   * Get a verified member by Discord user ID
+   * @param {string} guildId - Discord guild ID
+   * @param {string} discordUserId - Discord user ID
+   * @returns {Promise<Object|null>} - Verified member or null
+   */
+  async getVerifiedMember(guildId, discordUserId) {
+    const member = this.verifiedMembers.get(memberKey(guildId, discordUserId));
+    return member ? { ...member } : null;
+  }
+
+  /**
+   * Get the verified member linked to a 42 login in a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} login - 42 login
+   * @returns {Promise<Object|null>} - Verified member or null
+   */
+  async getVerifiedMemberByLogin(guildId, login) {
+    for (const member of this.verifiedMembers.values()) {
+      if (member.guildId === guildId && member.login === login) {
+        return { ...member };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Delete a verified member
+   * @param {string} guildId - Discord guild ID
+   * @param {string} discordUserId - Discord user ID
+   * @returns {Promise<boolean>} - True if a member was deleted
+   */
+  async deleteVerifiedMember(guildId, discordUserId) {
+    return this.verifiedMembers.delete(memberKey(guildId, discordUserId));
+  }
+
+  /**
+   * Delete the verified members who left their guild before the cutoff, with their rules acceptances
+   * @param {number} cutoff - Timestamp in milliseconds
+   * @returns {Promise<Array<Object>>} - Deleted members
+   */
+  async deleteVerifiedMembersLeftBefore(cutoff) {
+    const deleted = [];
+    for (const [key, member] of this.verifiedMembers) {
+      if (member.leftAt && member.leftAt < cutoff) {
+        this.verifiedMembers.delete(key);
+        deleted.push(member);
+      }
+    }
+    this.rulesAcceptances = this.rulesAcceptances.filter(acceptance =>
+      !deleted.some(member => member.guildId === acceptance.guildId && member.discordUserId === acceptance.discordUserId));
+    return deleted.map(member => ({ ...member }));
+  }
+
+  /**
+   * List verified members, oldest verification first
+   * @param {string|null} guildId - Only members of this guild (default: every guild)
+   * @returns {Promise<Array<Object>>} - Verified members
+   */
+  async listVerifiedMembers(guildId = null) {
+    return [...this.verifiedMembers.values()]
+      .filter(member => !guildId || member.guildId === guildId)
+      .sort((a, b) => a.verifiedAt - b.verifiedAt)
+      .map(member => ({ ...member }));
+  }
+
+  /**
+   * Count verified members
+   * @returns {Promise<number>} - Number of verified members
+   */
+  async countVerifiedMembers() {
+    return this.verifiedMembers.size;
+  }
+
+  /**
+   * Record a moderator action
+   * @param {Object} action - { guildId, moderatorId, action, targetUserId?, login?, timestamp, ... }
+   * @returns {Promise<Object>} - Recorded action with its ID
+   */
+  async recordModAction(action) {
+    const record = { ...action, id: this.modActions.length + 1 };
+    this.modActions.push(record);
+    return { ...record };
+  }
+
+  /**
+   * List moderator actions, most recent first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.guildId - Only actions in this guild
+   * @param {string} filters.targetUserId - Only actions on this Discord user
+   * @param {number} filters.limit - Maximum number of actions (default: 50)
+   * @returns {Promise<Array<Object>>} - Moderator actions
+   */
+  async listModActions({ guildId, targetUserId, limit = 50 } = {}) {
+    return this.modActions
+      .filter(action => !guildId || action.guildId === guildId)
+      .filter(action => !targetUserId || action.targetUserId === targetUserId)
+      .sort((a, b) => b.timestamp - a.timestamp || b.id - a.id)
+      .slice(0, limit)
+      .map(action => ({ ...action }));
+  }
+
+  /**
+   * Record a verification event for the dashboard history
+   * @param {Object} event - { guildId, type, timestamp, discordUserId?, ... } as emitted on the events bus
+   * @returns {Promise<Object>} - Recorded event with its ID
+   */
+  async recordVerificationEvent(event) {
+    const record = { ...event, id: ++this.lastVerificationEventId };
+    this.verificationEvents.push(record);
+    return { ...record };
+  }
+
+  /**
+   * List verification events, most recent first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.guildId - Only events in this guild
+   * @param {string} filters.type - Only events of this type
+   * @param {number} filters.since - Only events from this timestamp on
+   * @param {number} filters.limit - Maximum number of events (default: 50)
+   * @returns {Promise<Array<Object>>} - Verification events
+   */
+  async listVerificationEvents({ guildId, type, since, limit = 50 } = {}) {
+    return this.verificationEvents
+      .filter(event => !guildId || event.guildId === guildId)
+      .filter(event => !type || event.type === type)
+      .filter(event => !since || event.timestamp >= since)
+      .sort((a, b) => b.timestamp - a.timestamp || b.id - a.id)
+      .slice(0, limit)
+      .map(event => ({ ...event }));
+  }
+
+  /**
+   * Delete every verification event older than the cutoff
+   * @param {number} cutoff - Timestamp in milliseconds
+   * @returns {Promise<number>} - Number of deleted events
+   */
+  async deleteVerificationEventsBefore(cutoff) {
+    const count = this.verificationEvents.length;
+    this.verificationEvents = this.verificationEvents.filter(event => event.timestamp >= cutoff);
+    return count - this.verificationEvents.length;
+  }
+
+  /**
+   * Record that a member accepted a rules version
+   * @param {Object} acceptance - { guildId, discordUserId, version, acceptedAt, answers }
+   * @returns {Promise<Object>} - Stored acceptance with its id
+   */
+  async recordRulesAcceptance(acceptance) {
+    const record = { ...acceptance, id: this.rulesAcceptances.length + 1 };
+    this.rulesAcceptances.push(record);
+    return { ...record };
+  }
+
+  /**
+   * List the rules versions a member accepted in a guild, most recent first
+   * @param {string} guildId - Discord guild ID
+   * @param {string} discordUserId - Discord user ID
+   * @returns {Promise<Array<Object>>} - Rules acceptances
+   */
+  async listRulesAcceptances(guildId, discordUserId) {
+    return this.rulesAcceptances
+      .filter(acceptance => acceptance.guildId === guildId && acceptance.discordUserId === discordUserId)
+      .sort((a, b) => b.acceptedAt - a.acceptedAt || b.id - a.id)
+      .map(acceptance => ({ ...acceptance }));
+  }
+
+  /**
+   * Save (or replace) a member who joined and has not verified yet
+   * @param {Object} member - Unverified member record, keyed by guildId and discordUserId
+   * @returns {Promise<Object>} - Stored member
+   */
+  async saveUnverifiedMember(member) {
+    this.unverifiedMembers.set(memberKey(member.guildId, member.discordUserId), { ...member });
+    return { ...member };
+  }
+
+  /**
+   * Get an unverified member by Discord user ID
+   * @param {string} guildId - Discord guild ID
+   * @param {string} discordUserId - Discord user ID
+   * @returns {Promise<Object|null>} - Unverified member or null
+   */
+  async getUnverifiedMember(guildId, discordUserId) {
+    const member = this.unverifiedMembers.get(memberKey(guildId, discordUserId));
+    return member ? { ...member } : null;
+  }
+
+  /**
+   * Delete an unverified member
+   * @param {string} guildId - Discord guild ID
+   * @param {string} discordUserId - Discord user ID
+   * @returns {Promise<boolean>} - True if a member was deleted
+   */
+  async deleteUnverifiedMember(guildId, discordUserId) {
+    return this.unverifiedMembers.delete(memberKey(guildId, discordUserId));
+  }
+
+  /**
+   * List unverified members, earliest join first
+   * @param {string|null} guildId - Only members of this guild (default: every guild)
+   * @returns {Promise<Array<Object>>} - Unverified members
+   */
+  async listUnverifiedMembers(guildId = null) {
+    return [...this.unverifiedMembers.values()]
+      .filter(member => !guildId || member.guildId === guildId)
+      .sort((a, b) => a.joinedAt - b.joinedAt)
+      .map(member => ({ ...member }));
+  }
+
+  /**
+   * Get the settings a guild changed with /admin config
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Object|null>} - Guild config or null
+   */
+  async getGuildConfig(guildId) {
+    const config = this.guildConfigs.get(guildId);
+    return config ? structuredClone(config) : null;
+  }
+
+  /**
+   * Save (or replace) the settings of a guild
+   * @param {Object} config - Guild config, keyed by guildId
+   * @returns {Promise<Object>} - Stored config
+   */
+  async saveGuildConfig(config) {
+    this.guildConfigs.set(config.guildId, structuredClone(config));
+    return structuredClone(config);
+  }
+
+  /**
+   * List everything held about a Discord user, in every guild
+   * @param {string} discordUserId - Discord user ID
+   * @returns {Promise<Object>} - { pendingVerifications, verifiedMembers, rulesAcceptances, unverifiedMembers, modActions, verificationEvents }
+   */
+  async listUserData(discordUserId) {
+    const ofUser = (records, key = 'discordUserId') => records
+      .filter(record => record[key] === discordUserId)
+      .map(record => ({ ...record }));
+    return {
+      pendingVerifications: ofUser([...this.pendingVerifications.values()]).sort((a, b) => a.timestamp - b.timestamp),
+      verifiedMembers: ofUser([...this.verifiedMembers.values()]).sort((a, b) => a.verifiedAt - b.verifiedAt),
+      rulesAcceptances: ofUser(this.rulesAcceptances),
+      unverifiedMembers: ofUser([...this.unverifiedMembers.values()]).sort((a, b) => a.joinedAt - b.joinedAt),
+      modActions: ofUser(this.modActions, 'targetUserId'),
+      verificationEvents: ofUser(this.verificationEvents),
+      webhookDeadLetters: ofUser(this.webhookDeadLetters)
+    };
+  }
+
+  /**
+   * Delete everything held about a Discord user in every guild, except the moderator actions about them
+   * @param {string} discordUserId - Discord user ID
+   * @returns {Promise<Object>} - Number of deleted records by kind
+   */
+  async deleteUserData(discordUserId) {
+    const deleteFromMap = (map) => {
+      let count = 0;
+      for (const [key, record] of map) {
+        if (record.discordUserId === discordUserId) {
+          map.delete(key);
+          count++;
+        }
+      }
+      return count;
+    };
+    const deleteFromArray = (name) => {
+      const count = this[name].length;
+      this[name] = this[name].filter(record => record.discordUserId !== discordUserId);
+      return count - this[name].length;
+    };
+
+    return {
+      pendingVerifications: deleteFromMap(this.pendingVerifications),
+      verifiedMembers: deleteFromMap(this.verifiedMembers),
+      rulesAcceptances: deleteFromArray('rulesAcceptances'),
+      unverifiedMembers: deleteFromMap(this.unverifiedMembers),
+      verificationEvents: deleteFromArray('verificationEvents'),
+      webhookDeadLetters: deleteFromArray('webhookDeadLetters')
+    };
+  }
+
+  /**
+   * Record a member's request to erase their data
+   * @param {Object} request - { discordUserId, requestedAt, guildIds, ... }
+   * @returns {Promise<Object>} - Recorded request with its ID
+   */
+  async recordErasureRequest(request) {
+    const record = { ...request, id: this.erasureRequests.length + 1 };
+    this.erasureRequests.push(record);
+    return { ...record };
+  }
+
+  /**
+   * List erasure requests, most recent first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.guildId - Only requests that erased data of this guild
+   * @param {number} filters.limit - Maximum number of requests (default: 50)
+   * @returns {Promise<Array<Object>>} - Erasure requests
+   */
+  async listErasureRequests({ guildId, limit = 50 } = {}) {
+    return this.erasureRequests
+      .filter(request => !guildId || request.guildIds.includes(guildId))
+      .sort((a, b) => b.requestedAt - a.requestedAt || b.id - a.id)
+      .slice(0, limit)
+      .map(request => ({ ...request }));
+  }
+
+  /**
+   * Record a webhook delivery that failed every attempt
+   * @param {Object} deadLetter - { guildId, discordUserId, url, payload, attempts, lastError, failedAt }
+   * @returns {Promise<Object>} - Recorded dead letter with its ID
+   */
+  async recordWebhookDeadLetter(deadLetter) {
+    const record = { ...deadLetter, id: ++this.lastWebhookDeadLetterId };
+    this.webhookDeadLetters.push(record);
+    return { ...record };
+  }
+
+  /**
+   * Get a webhook dead letter by ID
+   * @param {number} id - Dead letter ID
+   * @returns {Promise<Object|null>} - Dead letter or null
+   */
+  async getWebhookDeadLetter(id) {
+    const deadLetter = this.webhookDeadLetters.find(record => record.id === id);
+    return deadLetter ? { ...deadLetter } : null;
+  }
+
+  /**
+   * List webhook dead letters, most recent first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.guildId - Only deliveries of events of this guild
+   * @param {number} filters.limit - Maximum number of dead letters (default: 50)
+   * @returns {Promise<Array<Object>>} - Dead letters
+   */
+  async listWebhookDeadLetters({ guildId, limit = 50 } = {}) {
+    return this.webhookDeadLetters
+      .filter(deadLetter => !guildId || deadLetter.guildId === guildId)
+      .sort((a, b) => b.failedAt - a.failedAt || b.id - a.id)
+      .slice(0, limit)
+      .map(deadLetter => ({ ...deadLetter }));
+  }
+
+  /**
+   * Delete a webhook dead letter, once redelivered
+   * @param {number} id - Dead letter ID
+   * @returns {Promise<boolean>} - True if it existed
+   */
+  async deleteWebhookDeadLetter(id) {
+    const count = this.webhookDeadLetters.length;
+    this.webhookDeadLetters = this.webhookDeadLetters.filter(deadLetter => deadLetter.id !== id);
+    return this.webhookDeadLetters.length < count;
+  }
+
+  /**
+   * Close the store
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.pendingVerifications.clear();
+    this.verifiedMembers.clear();
+    this.modActions = [];
+    this.rulesAcceptances = [];
+    this.unverifiedMembers.clear();
+    this.guildConfigs.clear();
+    this.verificationEvents = [];
+    this.erasureRequests = [];
+    this.webhookDeadLetters = [];
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,810 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { debugLog } = require('../debug');
+const { createLoginAlreadyLinkedError } = require('./errors');
+
+// Tables holding per-guild rows since multi-guild support
+const GUILD_TABLES = ['pending_verifications', 'verified_members', 'mod_actions', 'rules_acceptances', 'unverified_members'];
+
+// Schema migrations, applied in order and tracked with PRAGMA user_version.
+// A migration is either SQL or a function of the database, for steps needing parameters.
+// Never edit a shipped migration: append a new one instead.
+const MIGRATIONS = [
+  `
+    CREATE TABLE pending_verifications (
+      state TEXT PRIMARY KEY,
+      discord_user_id TEXT NOT NULL,
+      step TEXT NOT NULL,
+      timestamp INTEGER NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX idx_pending_verifications_timestamp ON pending_verifications (timestamp);
+    CREATE INDEX idx_pending_verifications_user ON pending_verifications (discord_user_id);
+  `,
+  `
+    CREATE TABLE verified_members (
+      discord_user_id TEXT PRIMARY KEY,
+      login TEXT NOT NULL UNIQUE,
+      verified_at INTEGER NOT NULL,
+      rules_accepted_at INTEGER,
+      data TEXT NOT NULL
+    );
+  `,
+  `
+    CREATE TABLE mod_actions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp INTEGER NOT NULL,
+      moderator_id TEXT NOT NULL,
+      action TEXT NOT NULL,
+      target_user_id TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX idx_mod_actions_target ON mod_actions (target_user_id, timestamp);
+  `,
+  `
+    CREATE TABLE rules_acceptances (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      discord_user_id TEXT NOT NULL,
+      version TEXT NOT NULL,
+      accepted_at INTEGER NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX idx_rules_acceptances_user ON rules_acceptances (discord_user_id, accepted_at);
+  `,
+  `
+    CREATE TABLE unverified_members (
+      discord_user_id TEXT PRIMARY KEY,
+      joined_at INTEGER NOT NULL,
+      data TEXT NOT NULL
+    );
+  `,
+  (db) => {
+    // Rows written before multi-guild support belong to the one guild the bot used to serve
+    const legacyGuildId = process.env.DISCORD_GUILD_ID || '';
+    const hasRows = GUILD_TABLES.some(table => db.prepare(`SELECT 1 FROM ${table} LIMIT 1`).get());
+    if (hasRows && !legacyGuildId) {
+      throw new Error('DISCORD_GUILD_ID must be set to assign existing verifications to their guild');
+    }
+
+    db.exec(`
+      ALTER TABLE pending_verifications ADD COLUMN guild_id TEXT NOT NULL DEFAULT '';
+      DROP INDEX idx_pending_verifications_user;
+      CREATE INDEX idx_pending_verifications_user ON pending_verifications (guild_id, discord_user_id);
+
+      CREATE TABLE verified_members_v6 (
+        guild_id TEXT NOT NULL,
+        discord_user_id TEXT NOT NULL,
+        login TEXT NOT NULL,
+        verified_at INTEGER NOT NULL,
+        rules_accepted_at INTEGER,
+        data TEXT NOT NULL,
+        PRIMARY KEY (guild_id, discord_user_id),
+        UNIQUE (guild_id, login)
+      );
+      INSERT INTO verified_members_v6 (guild_id, discord_user_id, login, verified_at, rules_accepted_at, data)
+        SELECT '', discord_user_id, login, verified_at, rules_accepted_at, data FROM verified_members;
+      DROP TABLE verified_members;
+      ALTER TABLE verified_members_v6 RENAME TO verified_members;
+
+      ALTER TABLE mod_actions ADD COLUMN guild_id TEXT NOT NULL DEFAULT '';
+      DROP INDEX idx_mod_actions_target;
+      CREATE INDEX idx_mod_actions_target ON mod_actions (guild_id, target_user_id, timestamp);
+
+      ALTER TABLE rules_acceptances ADD COLUMN guild_id TEXT NOT NULL DEFAULT '';
+      DROP INDEX idx_rules_acceptances_user;
+      CREATE INDEX idx_rules_acceptances_user ON rules_acceptances (guild_id, discord_user_id, accepted_at);
+
+      CREATE TABLE unverified_members_v6 (
+        guild_id TEXT NOT NULL,
+        discord_user_id TEXT NOT NULL,
+        joined_at INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (guild_id, discord_user_id)
+      );
+      INSERT INTO unverified_members_v6 (guild_id, discord_user_id, joined_at, data)
+        SELECT '', discord_user_id, joined_at, data FROM unverified_members;
+      DROP TABLE unverified_members;
+      ALTER TABLE unverified_members_v6 RENAME TO unverified_members;
+
+      CREATE TABLE guild_configs (
+        guild_id TEXT PRIMARY KEY,
+        updated_at INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+    `);
+
+    for (const table of GUILD_TABLES) {
+      db.prepare(`UPDATE ${table} SET guild_id = ?, data = json_set(data, '$.guildId', ?)`).run(legacyGuildId, legacyGuildId);
+    }
+  },
+  `
+    CREATE TABLE verification_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      timestamp INTEGER NOT NULL,
+      discord_user_id TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX idx_verification_events_type ON verification_events (guild_id, type, timestamp);
+    CREATE INDEX idx_verification_events_timestamp ON verification_events (timestamp);
+  `,
+  (db) => {
+    db.exec(`
+      CREATE TABLE erasure_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        discord_user_id TEXT NOT NULL,
+        requested_at INTEGER NOT NULL,
+        guild_ids TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_erasure_requests_requested_at ON erasure_requests (requested_at);
+    `);
+
+    // Pending verifications used to hold the whole 42 profile, email included: drop them, they expire within minutes
+    db.prepare("DELETE FROM pending_verifications WHERE json_extract(data, '$.userData') IS NOT NULL").run();
+
+    // Verified members only keep what auto-roles and moderators use
+    const update = db.prepare('UPDATE verified_members SET data = ? WHERE guild_id = ? AND discord_user_id = ?');
+    for (const row of db.prepare('SELECT guild_id, discord_user_id, data FROM verified_members').all()) {
+      const { fortyTwoId, ...member } = JSON.parse(row.data);
+      member.campus = (member.campus || []).map(({ id, name }) => ({ id, name }));
+      member.cursus = (member.cursus || []).map(({ id, name, endAt }) => ({ id, name, endAt }));
+      update.run(JSON.stringify(member), row.guild_id, row.discord_user_id);
+    }
+  },
+  `
+    CREATE TABLE webhook_dead_letters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      guild_id TEXT,
+      discord_user_id TEXT,
+      failed_at INTEGER NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX idx_webhook_dead_letters_guild ON webhook_dead_letters (guild_id, failed_at);
+  `
+];
+
+/**
+ * SQLite implementation of the verification store.
+ * Survives restarts and redeploys as long as the database file sits on a persistent volume.
+ */
+class SqliteStore {
+  /**
+   * @param {string} filename - Path to the SQLite database file (or ':memory:')
+   */
+  constructor(filename) {
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.migrate();
+
+    debugLog('SQLite Store Opened', { filename, schemaVersion: this.db.pragma('user_version', { simple: true }) });
+  }
+
+  /**
+   * Apply pending schema migrations
+   */
+  migrate() {
+    const currentVersion = this.db.pragma('user_version', { simple: true });
+
+    for (let version = currentVersion; version < MIGRATIONS.length; version++) {
+      this.db.transaction(() => {
+        const migration = MIGRATIONS[version];
+        if (typeof migration === 'function') {
+          migration(this.db);
+        } else {
+          this.db.exec(migration);
+        }
+        this.db.pragma(`user_version = ${version + 1}`);
+      })();
+      debugLog('SQLite Migration Applied', { version: version + 1 });
+    }
+  }
+
+  /**
+   * Save (or replace) a pending verification
+   * @param {string} state - OAuth2 state parameter
+   * @param {Object} verification - Verification data
+   * @returns {Promise<Object>} - Stored verification
+   */
+  async savePendingVerification(state, verification) {
+    const record = { step: 'oauth_pending', ...verification, state };
+    this.db.prepare(`
+      INSERT OR REPLACE INTO pending_verifications (state, guild_id, discord_user_id, step, timestamp, data)
+      VALUES (@state, @guildId, @discordUserId, @step, @timestamp, @data)
+    `).run({
+      state,
+      guildId: record.guildId,
+      discordUserId: record.discordUserId,
+      step: record.step,
+      timestamp: record.timestamp,
+      data: JSON.stringify(record)
+    });
+    return record;
+  }
+
+  /**
+   * Get a pending verification by state
+   * @param {string} state - OAuth2 state parameter
+   * @returns {Promise<Object|null>} - Verification data or null
+   */
+  async getPendingVerification(state) {
+    const row = this.db.prepare('SELECT data FROM pending_verifications WHERE state = ?').get(state);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Merge changes into an existing pending verification
+   * @param {string} state - OAuth2 state parameter
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object|null>} - Updated verification or null if not found
+   */
+  async updatePendingVerification(state, changes) {
+    const record = await this.getPendingVerification(state);
+    if (!record) {
+      return null;
+    }
+    return this.savePendingVerification(state, { ...record, ...changes });
+  }
+
+  /**
+   * Atomically move a pending verification from one step to the next
+   * Only one caller can claim a given step, which makes it single-use.
+   * @param {string} state - OAuth2 state parameter
+   * @param {string} fromStep - Step the verification must be on
+   * @param {string} toStep - Step to move it to
+   * @returns {Promise<Object|null>} - Updated verification, or null if not found or on another step
+   */
+  async claimPendingVerification(state, fromStep, toStep) {
+    return this.db.transaction(() => {
+      const row = this.db.prepare('SELECT data FROM pending_verifications WHERE state = ? AND step = ?').get(state, fromStep);
+      if (!row) {
+        return null;
+      }
+      const record = { ...JSON.parse(row.data), step: toStep };
+      this.db.prepare('UPDATE pending_verifications SET step = ?, data = ? WHERE state = ?')
+        .run(toStep, JSON.stringify(record), state);
+      return record;
+    })();
+  }
+
+  /**
+   * Delete a pending verification
+   * @param {string} state - OAuth2 state parameter
+   * @returns {Promise<boolean>} - True if a verification was deleted
+   */
+  async deletePendingVerification(state) {
+    const result = this.db.prepare('DELETE FROM pending_verifications WHERE state = ?').run(state);
+    return result.changes > 0;
+  }
+
+  /**
+   * Get the most recent pending verification of a Discord user in a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} discordUserId - Discord user ID
+   * @returns {Promise<Object|null>} - Verification data or null
+   */
+  async getPendingVerificationByUser(guildId, discordUserId) {
+    const row = this.db.prepare(`
+      SELECT data FROM pending_verifications WHERE guild_id = ? AND discord_user_id = ? ORDER BY timestamp DESC LIMIT 1
+    `).get(guildId, discordUserId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Delete every pending verification of a Discord user in a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} discordUserId - Discord user ID
+   * @returns {Promise<number>} - Number of verifications deleted
+   */
+  async deletePendingVerificationsByUser(guildId, discordUserId) {
+    const result = this.db.prepare('DELETE FROM pending_verifications WHERE guild_id = ? AND discord_user_id = ?')
+      .run(guildId, discordUserId);
+    return result.changes;
+  }
+
+  /**
+   * List the pending verifications of a guild, most recent first
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Array<Object>>} - Pending verifications
+   */
+  async listPendingVerifications(guildId) {
+    return this.db.prepare('SELECT data FROM pending_verifications WHERE guild_id = ? ORDER BY timestamp DESC')
+      .all(guildId)
+      .map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Count pending verifications
+   * @returns {Promise<number>} - Number of pending verifications
+   */
+  async countPendingVerifications() {
+    return this.db.prepare('SELECT COUNT(*) AS count FROM pending_verifications').get().count;
+  }
+
+  /**
+   * Delete every pending verification started before the cutoff
+   * @param {number} cutoff - Timestamp in milliseconds
+   * @returns {Promise<Array<Object>>} - Deleted verifications
+   */
+  async deleteExpiredVerifications(cutoff) {
+    return this.db.transaction(() => {
+      const rows = this.db.prepare('SELECT data FROM pending_verifications WHERE timestamp < ?').all(cutoff);
+      this.db.prepare('DELETE FROM pending_verifications WHERE timestamp < ?').run(cutoff);
+      return rows.map(row => JSON.parse(row.data));
+    })();
+  }
+
+  /**
+   * Save (or replace) a verified member
+   * @param {Object} member - Verified member record, keyed by guildId and discordUserId
+   * @returns {Promise<Object>} - Stored member
+   * @throws {Error} - With code LOGIN_ALREADY_LINKED if the 42 login belongs to another Discord user of the guild
+   */
+  async saveVerifiedMember(member) {
+    try {
+      this.db.prepare(`
+        INSERT INTO verified_members (guild_id, discord_user_id, login, verified_at, rules_accepted_at, data)
+        VALUES (@guildId, @discordUserId, @login, @verifiedAt, @rulesAcceptedAt, @data)
+        ON CONFLICT (guild_id, discord_user_id) DO UPDATE SET
+          login = excluded.login,
+          verified_at = excluded.verified_at,
+          rules_accepted_at = excluded.rules_accepted_at,
+          data = excluded.data
+      `).run({
+        guildId: member.guildId,
+        discordUserId: member.discordUserId,
+        login: member.login,
+        verifiedAt: member.verifiedAt,
+        rulesAcceptedAt: member.rulesAcceptedAt || null,
+        data: JSON.stringify(member)
+      });
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        throw createLoginAlreadyLinkedError(member.login);
+      }
+      throw error;
+    }
+    return member;
+  }
+
+  /**
+   * Get a verified member by Discord user ID
+   * @param {string} guildId - Discord guild ID
+   * @param {string} discordUserId - Discord user ID
+   * @returns {Promise<Object|null>} - Verified member or null
+   */
+  async getVerifiedMember(guildId, discordUserId) {
+    const row = this.db.prepare('SELECT data FROM verified_members WHERE guild_id = ? AND discord_user_id = ?')
+      .get(guildId, discordUserId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Get the verified member linked to a 42 login in a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} login - 42 login
+   * @returns {Promise<Object|null>} - Verified member or null
+   */
+  async getVerifiedMemberByLogin(guildId, login) {
+    const row = this.db.prepare('SELECT data FROM verified_members WHERE guild_id = ? AND login = ?').get(guildId, login);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Delete a verified member
+   * @param {string} guildId - Discord guild ID
+   * @param {string} discordUserId - Discord user ID
+   * @returns {Promise<boolean>} - True if a member was deleted
+   */
+  async deleteVerifiedMember(guildId, discordUserId) {
+    const result = this.db.prepare('DELETE FROM verified_members WHERE guild_id = ? AND discord_user_id = ?')
+      .run(guildId, discordUserId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Delete the verified members who left their guild before the cutoff, with their rules acceptances
+   * @param {number} cutoff - Timestamp in milliseconds
+   * @returns {Promise<Array<Object>>} - Deleted members
+   */
+  async deleteVerifiedMembersLeftBefore(cutoff) {
+    return this.db.transaction(() => {
+      const rows = this.db.prepare(`
+        SELECT guild_id, discord_user_id, data FROM verified_members WHERE json_extract(data, '$.leftAt') < ?
+      `).all(cutoff);
+      const deleteAcceptances = this.db.prepare('DELETE FROM rules_acceptances WHERE guild_id = ? AND discord_user_id = ?');
+      const deleteMember = this.db.prepare('DELETE FROM verified_members WHERE guild_id = ? AND discord_user_id = ?');
+      for (const row of rows) {
+        deleteAcceptances.run(row.guild_id, row.discord_user_id);
+        deleteMember.run(row.guild_id, row.discord_user_id);
+      }
+      return rows.map(row => JSON.parse(row.data));
+    })();
+  }
+
+  /**
+   * List verified members, oldest verification first
+   * @param {string|null} guildId - Only members of this guild (default: every guild)
+   * @returns {Promise<Array<Object>>} - Verified members
+   */
+  async listVerifiedMembers(guildId = null) {
+    const rows = guildId
+      ? this.db.prepare('SELECT data FROM verified_members WHERE guild_id = ? ORDER BY verified_at').all(guildId)
+      : this.db.prepare('SELECT data FROM verified_members ORDER BY verified_at').all();
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Count verified members
+   * @returns {Promise<number>} - Number of verified members
+   */
+  async countVerifiedMembers() {
+    return this.db.prepare('SELECT COUNT(*) AS count FROM verified_members').get().count;
+  }
+
+  /**
+   * Record a moderator action
+   * @param {Object} action - { guildId, moderatorId, action, targetUserId?, login?, timestamp, ... }
+   * @returns {Promise<Object>} - Recorded action with its ID
+   */
+  async recordModAction(action) {
+    const result = this.db.prepare(`
+      INSERT INTO mod_actions (guild_id, timestamp, moderator_id, action, target_user_id, data)
+      VALUES (@guildId, @timestamp, @moderatorId, @action, @targetUserId, @data)
+    `).run({
+      guildId: action.guildId,
+      timestamp: action.timestamp,
+      moderatorId: action.moderatorId,
+      action: action.action,
+      targetUserId: action.targetUserId || null,
+      data: JSON.stringify(action)
+    });
+    return { ...action, id: Number(result.lastInsertRowid) };
+  }
+
+  /**
+   * List moderator actions, most recent first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.guildId - Only actions in this guild
+   * @param {string} filters.targetUserId - Only actions on this Discord user
+   * @param {number} filters.limit - Maximum number of actions (default: 50)
+   * @returns {Promise<Array<Object>>} - Moderator actions
+   */
+  async listModActions({ guildId, targetUserId, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (guildId) {
+      conditions.push('guild_id = ?');
+      params.push(guildId);
+    }
+    if (targetUserId) {
+      conditions.push('target_user_id = ?');
+      params.push(targetUserId);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = this.db.prepare(`
+      SELECT id, data FROM mod_actions ${where} ORDER BY timestamp DESC, id DESC LIMIT ?
+    `).all(...params, limit);
+    return rows.map(row => ({ ...JSON.parse(row.data), id: row.id }));
+  }
+
+  /**
+   * Record a verification event for the dashboard history
+   * @param {Object} event - { guildId, type, timestamp, discordUserId?, ... } as emitted on the events bus
+   * @returns {Promise<Object>} - Recorded event with its ID
+   */
+  async recordVerificationEvent(event) {
+    const result = this.db.prepare(`
+      INSERT INTO verification_events (guild_id, type, timestamp, discord_user_id, data)
+      VALUES (@guildId, @type, @timestamp, @discordUserId, @data)
+    `).run({
+      guildId: event.guildId,
+      type: event.type,
+      timestamp: event.timestamp,
+      discordUserId: event.discordUserId || null,
+      data: JSON.stringify(event)
+    });
+    return { ...event, id: Number(result.lastInsertRowid) };
+  }
+
+  /**
+   * List verification events, most recent first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.guildId - Only events in this guild
+   * @param {string} filters.type - Only events of this type
+   * @param {number} filters.since - Only events from this timestamp on
+   * @param {number} filters.limit - Maximum number of events (default: 50)
+   * @returns {Promise<Array<Object>>} - Verification events
+   */
+  async listVerificationEvents({ guildId, type, since, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (guildId) {
+      conditions.push('guild_id = ?');
+      params.push(guildId);
+    }
+    if (type) {
+      conditions.push('type = ?');
+      params.push(type);
+    }
+    if (since) {
+      conditions.push('timestamp >= ?');
+      params.push(since);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = this.db.prepare(`
+      SELECT id, data FROM verification_events ${where} ORDER BY timestamp DESC, id DESC LIMIT ?
+    `).all(...params, limit);
+    return rows.map(row => ({ ...JSON.parse(row.data), id: row.id }));
+  }
+
+  /**
+   * Delete every verification event older than the cutoff
+   * @param {number} cutoff - Timestamp in milliseconds
+   * @returns {Promise<number>} - Number of deleted events
+   */
+  async deleteVerificationEventsBefore(cutoff) {
+    return this.db.prepare('DELETE FROM verification_events WHERE timestamp < ?').run(cutoff).changes;
+  }
+
+  /**
+   * Record that a member accepted a rules version
+   * @param {Object} acceptance - { guildId, discordUserId, version, acceptedAt, answers }
+   * @returns {Promise<Object>} - Stored acceptance with its id
+   */
+  async recordRulesAcceptance(acceptance) {
+    const result = this.db.prepare(`
+      INSERT INTO rules_acceptances (guild_id, discord_user_id, version, accepted_at, data)
+      VALUES (@guildId, @discordUserId, @version, @acceptedAt, @data)
+    `).run({
+      guildId: acceptance.guildId,
+      discordUserId: acceptance.discordUserId,
+      version: String(acceptance.version),
+      acceptedAt: acceptance.acceptedAt,
+      data: JSON.stringify(acceptance)
+    });
+    return { ...acceptance, id: Number(result.lastInsertRowid) };
+  }
+
+  /**
+   * List the rules versions a member accepted in a guild, most recent first
+   * @param {string} guildId - Discord guild ID
+   * @param {string} discordUserId - Discord user ID
+   * @returns {Promise<Array<Object>>} - Rules acceptances
+   */
+  async listRulesAcceptances(guildId, discordUserId) {
+    return this.db.prepare(`
+      SELECT id, data FROM rules_acceptances
+      WHERE guild_id = ? AND discord_user_id = ? ORDER BY accepted_at DESC, id DESC
+    `).all(guildId, discordUserId).map(row => ({ ...JSON.parse(row.data), id: row.id }));
+  }
+
+  /**
+   * Save (or replace) a member who joined and has not verified yet
+   * @param {Object} member - Unverified member record, keyed by guildId and discordUserId
+   * @returns {Promise<Object>} - Stored member
+   */
+  async saveUnverifiedMember(member) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO unverified_members (guild_id, discord_user_id, joined_at, data)
+      VALUES (@guildId, @discordUserId, @joinedAt, @data)
+    `).run({
+      guildId: member.guildId,
+      discordUserId: member.discordUserId,
+      joinedAt: member.joinedAt,
+      data: JSON.stringify(member)
+    });
+    return member;
+  }
+
+  /**
+   * Get an unverified member by Discord user ID
+   * @param {string} guildId - Discord guild ID
+   * @param {string} discordUserId - Discord user ID
+   * @returns {Promise<Object|null>} - Unverified member or null
+   */
+  async getUnverifiedMember(guildId, discordUserId) {
+    const row = this.db.prepare('SELECT data FROM unverified_members WHERE guild_id = ? AND discord_user_id = ?')
+      .get(guildId, discordUserId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Delete an unverified member
+   * @param {string} guildId - Discord guild ID
+   * @param {string} discordUserId - Discord user ID
+   * @returns {Promise<boolean>} - True if a member was deleted
+   */
+  async deleteUnverifiedMember(guildId, discordUserId) {
+    const result = this.db.prepare('DELETE FROM unverified_members WHERE guild_id = ? AND discord_user_id = ?')
+      .run(guildId, discordUserId);
+    return result.changes > 0;
+  }
+
+  /**
+   * List unverified members, earliest join first
+   * @param {string|null} guildId - Only members of this guild (default: every guild)
+   * @returns {Promise<Array<Object>>} - Unverified members
+   */
+  async listUnverifiedMembers(guildId = null) {
+    const rows = guildId
+      ? this.db.prepare('SELECT data FROM unverified_members WHERE guild_id = ? ORDER BY joined_at').all(guildId)
+      : this.db.prepare('SELECT data FROM unverified_members ORDER BY joined_at').all();
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Get the settings a guild changed with /admin config
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Object|null>} - Guild config or null
+   */
+  async getGuildConfig(guildId) {
+    const row = this.db.prepare('SELECT data FROM guild_configs WHERE guild_id = ?').get(guildId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Save (or replace) the settings of a guild
+   * @param {Object} config - Guild config, keyed by guildId
+   * @returns {Promise<Object>} - Stored config
+   */
+  async saveGuildConfig(config) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO guild_configs (guild_id, updated_at, data)
+      VALUES (@guildId, @updatedAt, @data)
+    `).run({
+      guildId: config.guildId,
+      updatedAt: config.updatedAt || Date.now(),
+      data: JSON.stringify(config)
+    });
+    return config;
+  }
+
+  /**
+   * List everything held about a Discord user, in every guild
+   * @param {string} discordUserId - Discord user ID
+   * @returns {Promise<Object>} - { pendingVerifications, verifiedMembers, rulesAcceptances, unverifiedMembers, modActions,
+   *   verificationEvents, webhookDeadLetters }
+   */
+  async listUserData(discordUserId) {
+    const list = (sql) => this.db.prepare(sql).all(discordUserId)
+      .map(row => (row.id === undefined ? JSON.parse(row.data) : { ...JSON.parse(row.data), id: row.id }));
+    return {
+      pendingVerifications: list('SELECT data FROM pending_verifications WHERE discord_user_id = ? ORDER BY timestamp'),
+      verifiedMembers: list('SELECT data FROM verified_members WHERE discord_user_id = ? ORDER BY verified_at'),
+      rulesAcceptances: list('SELECT id, data FROM rules_acceptances WHERE discord_user_id = ? ORDER BY accepted_at, id'),
+      unverifiedMembers: list('SELECT data FROM unverified_members WHERE discord_user_id = ? ORDER BY joined_at'),
+      modActions: list('SELECT id, data FROM mod_actions WHERE target_user_id = ? ORDER BY timestamp, id'),
+      verificationEvents: list('SELECT id, data FROM verification_events WHERE discord_user_id = ? ORDER BY timestamp, id'),
+      webhookDeadLetters: list('SELECT id, data FROM webhook_dead_letters WHERE discord_user_id = ? ORDER BY failed_at, id')
+    };
+  }
+
+  /**
+   * Delete everything held about a Discord user in every guild, except the moderator actions about them
+   * @param {string} discordUserId - Discord user ID
+   * @returns {Promise<Object>} - Number of deleted records by kind
+   */
+  async deleteUserData(discordUserId) {
+    const tables = {
+      pendingVerifications: 'pending_verifications',
+      verifiedMembers: 'verified_members',
+      rulesAcceptances: 'rules_acceptances',
+      unverifiedMembers: 'unverified_members',
+      verificationEvents: 'verification_events',
+      webhookDeadLetters: 'webhook_dead_letters'
+    };
+    return this.db.transaction(() => {
+      const counts = {};
+      for (const [kind, table] of Object.entries(tables)) {
+        counts[kind] = this.db.prepare(`DELETE FROM ${table} WHERE discord_user_id = ?`).run(discordUserId).changes;
+      }
+      return counts;
+    })();
+  }
+
+  /**
+   * Record a member's request to erase their data
+   * @param {Object} request - { discordUserId, requestedAt, guildIds, ... }
+   * @returns {Promise<Object>} - Recorded request with its ID
+   */
+  async recordErasureRequest(request) {
+    const result = this.db.prepare(`
+      INSERT INTO erasure_requests (discord_user_id, requested_at, guild_ids, data)
+      VALUES (@discordUserId, @requestedAt, @guildIds, @data)
+    `).run({
+      discordUserId: request.discordUserId,
+      requestedAt: request.requestedAt,
+      guildIds: JSON.stringify(request.guildIds),
+      data: JSON.stringify(request)
+    });
+    return { ...request, id: Number(result.lastInsertRowid) };
+  }
+
+  /**
+   * List erasure requests, most recent first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.guildId - Only requests that erased data of this guild
+   * @param {number} filters.limit - Maximum number of requests (default: 50)
+   * @returns {Promise<Array<Object>>} - Erasure requests
+   */
+  async listErasureRequests({ guildId, limit = 50 } = {}) {
+    const rows = guildId
+      ? this.db.prepare(`
+          SELECT id, data FROM erasure_requests
+          WHERE EXISTS (SELECT 1 FROM json_each(guild_ids) WHERE value = ?)
+          ORDER BY requested_at DESC, id DESC LIMIT ?
+        `).all(guildId, limit)
+      : this.db.prepare('SELECT id, data FROM erasure_requests ORDER BY requested_at DESC, id DESC LIMIT ?').all(limit);
+    return rows.map(row => ({ ...JSON.parse(row.data), id: row.id }));
+  }
+
+  /**
+   * Record a webhook delivery that failed every attempt
+   * @param {Object} deadLetter - { guildId, discordUserId, url, payload, attempts, lastError, failedAt }
+   * @returns {Promise<Object>} - Recorded dead letter with its ID
+   */
+  async recordWebhookDeadLetter(deadLetter) {
+    const result = this.db.prepare(`
+      INSERT INTO webhook_dead_letters (guild_id, discord_user_id, failed_at, data)
+      VALUES (@guildId, @discordUserId, @failedAt, @data)
+    `).run({
+      guildId: deadLetter.guildId || null,
+      discordUserId: deadLetter.discordUserId || null,
+      failedAt: deadLetter.failedAt,
+      data: JSON.stringify(deadLetter)
+    });
+    return { ...deadLetter, id: Number(result.lastInsertRowid) };
+  }
+
+  /**
+   * Get a webhook dead letter by ID
+   * @param {number} id - Dead letter ID
+   * @returns {Promise<Object|null>} - Dead letter or null
+   */
+  async getWebhookDeadLetter(id) {
+    const row = this.db.prepare('SELECT id, data FROM webhook_dead_letters WHERE id = ?').get(id);
+    return row ? { ...JSON.parse(row.data), id: row.id } : null;
+  }
+
+  /**
+   * List webhook dead letters, most recent first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.guildId - Only deliveries of events of this guild
+   * @param {number} filters.limit - Maximum number of dead letters (default: 50)
+   * @returns {Promise<Array<Object>>} - Dead letters
+   */
+  async listWebhookDeadLetters({ guildId, limit = 50 } = {}) {
+    const rows = guildId
+      ? this.db.prepare('SELECT id, data FROM webhook_dead_letters WHERE guild_id = ? ORDER BY failed_at DESC, id DESC LIMIT ?')
+        .all(guildId, limit)
+      : this.db.prepare('SELECT id, data FROM webhook_dead_letters ORDER BY failed_at DESC, id DESC LIMIT ?').all(limit);
+    return rows.map(row => ({ ...JSON.parse(row.data), id: row.id }));
+  }
+
+  /**
+   * Delete a webhook dead letter, once redelivered
+   * @param {number} id - Dead letter ID
+   * @returns {Promise<boolean>} - True if it existed
+   */
+  async deleteWebhookDeadLetter(id) {
+    return this.db.prepare('DELETE FROM webhook_dead_letters WHERE id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * Close the store
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteStore;
@@ -1,5 +1,15 @@
+const crypto = require('crypto');
 const { EmbedBuilder } = require('discord.js');
 const { debugLog, debugOAuth2Flow } = require('./debug');
+const { t, getDefaultLocale } = require('./i18n');
+const { signValue, verifySignedValue } = require('./session');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+const { LOGIN_ALREADY_LINKED } = require('./store/errors');
+const { getUrlOrigin } = require('./webhooks');
+
+// How long a verification link (and its state) stays valid
+const STATE_MAX_AGE = 10 * 60 * 1000;
 
 /**
  * Check if a user has the 42 role
@@ -47,7 +57,8 @@ async function add42Role(member, roleId) {
       roleId, 
       error: error.message 
     });
-    console.error(`Failed to add 42 role to ${member.user.tag}:`, error.message);
+    metrics.roleAssignmentFailures.inc();
+    logger.error('Failed to add role', { discordUserId: member.user.id, roleId, error });
     return false;
   }
 }
@@ -81,7 +92,7 @@ async function remove42Role(member, roleId) {
       roleId, 
       error: error.message 
     });
-    console.error(`Failed to remove 42 role from ${member.user.tag}:`, error.message);
+    logger.error('Failed to remove role', { discordUserId: member.user.id, roleId, error });
     return false;
   }
 }
@@ -90,173 +101,790 @@ async function remove42Role(member, roleId) {
  * Create a welcome embed for new members
  * @param {User} user - Discord user
  * @param {string} authUrl - OAuth2 authorization URL
+ * @param {string} locale - Locale code (default: DEFAULT_LOCALE)
  * @returns {EmbedBuilder} - Discord embed
  */
-function createWelcomeEmbed(user, authUrl) {
+function createWelcomeEmbed(user, authUrl, locale = getDefaultLocale()) {
   debugLog('Creating Welcome Embed', { 
     userId: user.id, 
     username: user.tag, 
-    hasAuthUrl: !!authUrl 
+    hasAuthUrl: !!authUrl,
+    locale 
   });
   
   return new EmbedBuilder()
     .setColor('#0099ff')
-    .setTitle('Welcome to Queernel! 🎉')
-    .setDescription(`Hello ${user}! Welcome to the Queernel Discord server.`)
+    .setTitle(t(locale, 'embeds.welcome.title'))
+    .setDescription(t(locale, 'embeds.welcome.description', { user: user.toString() }))
     .addFields(
       { 
-        name: '🔐 42 Student Verification Required', 
-        value: 'To access all server features, please verify that you are a 42 student by logging in with your 42 account.' 
+        name: t(locale, 'embeds.welcome.verificationRequiredName'), 
+        value: t(locale, 'embeds.welcome.verificationRequiredValue') 
       },
       { 
-        name: '📋 What happens next?', 
-        value: '1. Click the verification link below\n2. Log in with your 42 account\n3. Grant permission to verify your student status\n4. Review and accept the server rules\n5. You\'ll receive the "42" role automatically' 
+        name: t(locale, 'embeds.welcome.nextStepsName'), 
+        value: t(locale, 'embeds.welcome.nextStepsValue') 
       },
       { 
-        name: '🔗 Verification Link', 
-        value: `[Click here to verify with 42](${authUrl})` 
+        name: t(locale, 'embeds.welcome.linkName'), 
+        value: t(locale, 'embeds.welcome.linkValue', { url: authUrl }) 
       }
     )
-    .setFooter({ text: 'Queernel Bot - 42 Student Verification' })
+    .setFooter({ text: t(locale, 'embeds.footer') })
     .setTimestamp();
 }
 
 /**
  * Create a success embed for verified users
- * @param {Object} userData - 42 API user data
+ * @param {Object} profile - Member profile of the verified 42 account
+ * @param {string} locale - Locale code (default: DEFAULT_LOCALE)
  * @returns {EmbedBuilder} - Discord embed
  */
-function createSuccessEmbed(userData) {
+function createSuccessEmbed(profile, locale = getDefaultLocale()) {
   debugLog('Creating Success Embed', { 
-    login: userData.login, 
-    displayName: userData.displayname 
+    login: profile.login, 
+    locale 
   });
   
   return new EmbedBuilder()
     .setColor('#00ff00')
-    .setTitle('✅ Verification Successful!')
-    .setDescription('Welcome to Queernel! You have been successfully verified as a 42 student and have accepted the server rules.')
+    .setTitle(t(locale, 'embeds.success.title'))
+    .setDescription(t(locale, 'embeds.success.description'))
     .addFields(
-      { name: 'Status', value: '✅ Verified 42 Student', inline: true },
-      { name: 'Rules', value: '✅ Accepted', inline: true }
+      { name: t(locale, 'embeds.success.statusName'), value: t(locale, 'embeds.success.statusValue'), inline: true },
+      { name: t(locale, 'embeds.success.rulesName'), value: t(locale, 'embeds.success.rulesValue'), inline: true }
     )
-    .setFooter({ text: 'Queernel Bot - 42 Student Verification' })
+    .setFooter({ text: t(locale, 'embeds.footer') })
     .setTimestamp();
 }
 
 /**
  * Create an error embed for failed verifications
  * @param {string} error - Error message
+ * @param {string} locale - Locale code (default: DEFAULT_LOCALE)
  * @returns {EmbedBuilder} - Discord embed
  */
-function createErrorEmbed(error) {
-  debugLog('Creating Error Embed', { error });
+function createErrorEmbed(error, locale = getDefaultLocale()) {
+  debugLog('Creating Error Embed', { error, locale });
   
   return new EmbedBuilder()
     .setColor('#ff0000')
-    .setTitle('❌ Verification Failed')
-    .setDescription(`An error occurred during verification: ${error}`)
+    .setTitle(t(locale, 'embeds.error.title'))
+    .setDescription(t(locale, 'embeds.error.description', { error }))
     .addFields(
       { 
-        name: 'What to do?', 
-        value: 'Please try joining the server again or contact an administrator if the problem persists.' 
+        name: t(locale, 'embeds.error.whatToDoName'), 
+        value: t(locale, 'embeds.error.whatToDoValue') 
       }
     )
-    .setFooter({ text: 'Queernel Bot - 42 Student Verification' })
+    .setFooter({ text: t(locale, 'embeds.footer') })
     .setTimestamp();
 }
 
 /**
- * Clean up expired verification attempts
- * @param {Map} pendingVerifications - Map of pending verifications
- * @param {number} maxAge - Maximum age in milliseconds (default: 10 minutes)
+ * Create a status embed describing a member's verification state
+ * @param {User} user - Discord user
+ * @param {Object} status - Verification state
+ * @param {Object|null} status.verifiedMember - Verified member record
+ * @param {Object|null} status.pendingVerification - Pending verification
+ * @param {boolean} status.hasRole - True if the member holds the 42 role
+ * @param {string} locale - Locale code (default: DEFAULT_LOCALE)
+ * @returns {EmbedBuilder} - Discord embed
  */
-function cleanupExpiredVerifications(pendingVerifications, maxAge = 10 * 60 * 1000) {
-  const now = Date.now();
-  let cleanedCount = 0;
-  
-  for (const [state, verification] of pendingVerifications.entries()) {
-    if (now - verification.timestamp > maxAge) {
-      pendingVerifications.delete(state);
-      cleanedCount++;
-      debugLog('Cleaned Expired Verification', { 
-        state, 
-        username: verification.discordUsername,
-        age: now - verification.timestamp 
-      });
-      console.log(`Cleaned up expired verification for ${verification.discordUsername}`);
+function createStatusEmbed(user, { verifiedMember, pendingVerification, hasRole }, locale = getDefaultLocale()) {
+  debugLog('Creating Status Embed', { 
+    userId: user.id, 
+    isVerified: !!verifiedMember,
+    pendingStep: pendingVerification?.step,
+    hasRole,
+    locale
+  });
+
+  const embed = new EmbedBuilder()
+    .setFooter({ text: t(locale, 'embeds.footer') })
+    .setTimestamp();
+
+  if (verifiedMember) {
+    const rulesAcceptedAt = `<t:${Math.floor(verifiedMember.rulesAcceptedAt / 1000)}:R>`;
+    return embed
+      .setColor('#00ff00')
+      .setTitle(t(locale, 'embeds.status.verifiedTitle'))
+      .setDescription(t(locale, 'embeds.status.verifiedDescription', { user: `${user}` }))
+      .addFields(
+        { name: t(locale, 'embeds.status.loginName'), value: verifiedMember.login, inline: true },
+        {
+          name: t(locale, 'embeds.status.roleName'),
+          value: t(locale, hasRole ? 'embeds.status.roleAssigned' : 'embeds.status.roleMissing'),
+          inline: true
+        },
+        { name: t(locale, 'embeds.status.verifiedName'), value: `<t:${Math.floor(verifiedMember.verifiedAt / 1000)}:f>`, inline: true },
+        { 
+          name: t(locale, 'embeds.status.rulesName'), 
+          value: !verifiedMember.rulesAcceptedAt
+            ? t(locale, 'embeds.status.rulesNotAccepted')
+            : verifiedMember.rulesVersion
+              ? t(locale, 'embeds.status.rulesAcceptedVersion', { version: verifiedMember.rulesVersion, time: rulesAcceptedAt })
+              : t(locale, 'embeds.status.rulesAccepted', { time: rulesAcceptedAt }), 
+          inline: true 
+        }
+      );
+  }
+
+  if (pendingVerification) {
+    const stepDescription = pendingVerification.step === 'rules_pending'
+      ? t(locale, 'embeds.status.pendingRules')
+      : t(locale, 'embeds.status.pendingLogin');
+
+    return embed
+      .setColor('#ff9900')
+      .setTitle(t(locale, 'embeds.status.pendingTitle'))
+      .setDescription(stepDescription)
+      .addFields(
+        { name: t(locale, 'embeds.status.startedName'), value: `<t:${Math.floor(pendingVerification.timestamp / 1000)}:R>`, inline: true },
+        { name: t(locale, 'embeds.status.newLinkName'), value: t(locale, 'embeds.status.newLinkValue'), inline: true }
+      );
+  }
+
+  return embed
+    .setColor('#ff0000')
+    .setTitle(t(locale, 'embeds.status.notVerifiedTitle'))
+    .setDescription(t(locale, hasRole ? 'embeds.status.roleWithoutLink' : 'embeds.status.notVerified'));
+}
+
+/**
+ * Create a moderator lookup embed
+ * @param {Object} lookup - Lookup result
+ * @param {string|null} lookup.discordUserId - Discord user ID that was looked up or found
+ * @param {string|null} lookup.login - 42 login that was looked up or found
+ * @param {Object|null} lookup.verifiedMember - Verified member record
+ * @param {Object|null} lookup.fortyTwoUser - Live user data from 42 API
+ * @param {string|null} lookup.fortyTwoError - 42 API error message
+ * @param {Array<Object>} lookup.modActions - Recent moderator actions on the user
+ * @returns {EmbedBuilder} - Discord embed
+ */
+function createLookupEmbed({ discordUserId, login, verifiedMember, fortyTwoUser, fortyTwoError, modActions = [] }) {
+  debugLog('Creating Lookup Embed', { 
+    discordUserId, 
+    login, 
+    isVerified: !!verifiedMember, 
+    hasFortyTwoUser: !!fortyTwoUser 
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(verifiedMember ? '#00ff00' : '#ff9900')
+    .setTitle('🔎 Verification Lookup')
+    .addFields(
+      { name: 'Discord', value: discordUserId ? `<@${discordUserId}> (${discordUserId})` : 'Not linked', inline: true },
+      { name: '42 Login', value: login || 'Not linked', inline: true }
+    )
+    .setFooter({ text: 'Queernel Bot - Moderation' })
+    .setTimestamp();
+
+  if (verifiedMember) {
+    embed.addFields(
+      { name: 'Verified', value: `<t:${Math.floor(verifiedMember.verifiedAt / 1000)}:f>`, inline: true },
+      { 
+        name: 'Rules', 
+        value: verifiedMember.rulesAcceptedAt 
+          ? `${verifiedMember.rulesVersion ? `v${verifiedMember.rulesVersion}, ` : ''}<t:${Math.floor(verifiedMember.rulesAcceptedAt / 1000)}:f>` 
+          : 'Not accepted', 
+        inline: true 
+      },
+      { 
+        name: 'Campus', 
+        value: verifiedMember.campus?.map(campus => campus.name).join(', ') || 'Unknown', 
+        inline: true 
+      }
+    );
+    if (verifiedMember.verifiedBy) {
+      embed.addFields({ name: 'Verified By', value: `<@${verifiedMember.verifiedBy}>`, inline: true });
     }
+  } else {
+    embed.addFields({ name: 'Registry', value: 'No verified member record' });
   }
-  
-  if (cleanedCount > 0) {
-    debugLog('Cleanup Complete', { 
-      cleanedCount, 
-      remainingCount: pendingVerifications.size 
+
+  if (fortyTwoUser) {
+    embed.addFields({
+      name: '42 API',
+      value: [
+        `Name: ${fortyTwoUser.displayname}`,
+        `Campus: ${fortyTwoUser.campus?.map(campus => campus.name).join(', ') || 'None'}`,
+        `Cursus: ${fortyTwoUser.cursus_users?.map(cursusUser => cursusUser.cursus?.name).join(', ') || 'None'}`,
+        `Staff: ${fortyTwoUser['staff?'] ? 'yes' : 'no'} · Active: ${fortyTwoUser['active?'] === false ? 'no' : 'yes'}`
+      ].join('\n')
+    });
+  } else if (fortyTwoError) {
+    embed.addFields({ name: '42 API', value: `⚠️ ${fortyTwoError}` });
+  }
+
+  if (modActions.length > 0) {
+    embed.addFields({
+      name: 'Recent Moderator Actions',
+      value: modActions
+        .map(action => `<t:${Math.floor(action.timestamp / 1000)}:d> ${action.action} by <@${action.moderatorId}>${action.reason ? ` (${action.reason})` : ''}`)
+        .join('\n')
     });
   }
+
+  return embed;
 }
 
 /**
- * Validate 42 user data
- * @param {Object} userData - User data from 42 API
- * @returns {boolean} - True if valid 42 student
+ * Create the DM warning a member that their 42 role will be removed
+ * @param {string} reason - Why the member no longer passes validation
+ * @param {number} removalAt - Timestamp of the earliest removal
+ * @param {string} locale - Locale code (default: DEFAULT_LOCALE)
+ * @returns {EmbedBuilder} - Discord embed
  */
-function validate42User(userData) {
-  // Basic validation - check if user has required fields
-  if (!userData || !userData.login || !userData.email) {
-    debugLog('User Validation Failed - Missing Fields', { 
-      hasUserData: !!userData,
-      hasLogin: !!userData?.login,
-      hasEmail: !!userData?.email 
-    });
-    return false;
+function createRevalidationWarningEmbed(reason, removalAt, locale = getDefaultLocale()) {
+  debugLog('Creating Revalidation Warning Embed', { reason, removalAt, locale });
+
+  return new EmbedBuilder()
+    .setColor('#ff9900')
+    .setTitle(t(locale, 'embeds.revalidationWarning.title'))
+    .setDescription(t(locale, 'embeds.revalidationWarning.description'))
+    .addFields(
+      { name: t(locale, 'embeds.revalidationWarning.reasonName'), value: reason },
+      {
+        name: t(locale, 'embeds.revalidationWarning.removalName'),
+        value: t(locale, 'embeds.revalidationWarning.removalValue', { time: `<t:${Math.floor(removalAt / 1000)}:R>` })
+      },
+      { name: t(locale, 'embeds.revalidationWarning.whatToDoName'), value: t(locale, 'embeds.revalidationWarning.whatToDoValue') }
+    )
+    .setFooter({ text: t(locale, 'embeds.footer') })
+    .setTimestamp();
+}
+
+/**
+ * Create the DM telling a member their 42 role was removed
+ * @param {string} reason - Why the member no longer passes validation
+ * @param {string} locale - Locale code (default: DEFAULT_LOCALE)
+ * @returns {EmbedBuilder} - Discord embed
+ */
+function createRevalidationRemovalEmbed(reason, locale = getDefaultLocale()) {
+  debugLog('Creating Revalidation Removal Embed', { reason, locale });
+
+  return new EmbedBuilder()
+    .setColor('#ff0000')
+    .setTitle(t(locale, 'embeds.revalidationRemoval.title'))
+    .setDescription(t(locale, 'embeds.revalidationRemoval.description'))
+    .addFields(
+      { name: t(locale, 'embeds.revalidationRemoval.reasonName'), value: reason },
+      { name: t(locale, 'embeds.revalidationRemoval.whatToDoName'), value: t(locale, 'embeds.revalidationRemoval.whatToDoValue') }
+    )
+    .setFooter({ text: t(locale, 'embeds.footer') })
+    .setTimestamp();
+}
+
+/**
+ * Create the public message for a newcomer whose DMs are closed
+ * @param {User} user - Discord user
+ * @param {string} locale - Locale code (default: DEFAULT_LOCALE)
+ * @returns {EmbedBuilder} - Discord embed
+ */
+function createDmFailedEmbed(user, locale = getDefaultLocale()) {
+  debugLog('Creating DM Failed Embed', { userId: user.id, locale });
+
+  return new EmbedBuilder()
+    .setColor('#ff9900')
+    .setTitle(t(locale, 'embeds.dmFailed.title'))
+    .setDescription(t(locale, 'embeds.dmFailed.description', { user: `${user}` }))
+    .setFooter({ text: t(locale, 'embeds.footer') })
+    .setTimestamp();
+}
+
+/**
+ * Create the re-validation report embed for moderators
+ * @param {Object} report - Report returned by runRevalidation
+ * @returns {EmbedBuilder} - Discord embed
+ */
+function createRevalidationReportEmbed(report) {
+  debugLog('Creating Revalidation Report Embed', { 
+    checked: report.checked, 
+    flagged: report.flagged.length, 
+    dryRun: report.dryRun 
+  });
+
+  const formatEntries = (entries) => {
+    if (entries.length === 0) {
+      return 'None';
+    }
+    const lines = entries.map(entry => `<@${entry.discordUserId}> (${entry.login})${entry.reason ? ` - ${entry.reason}` : ''}`);
+    // Embed field values are limited to 1024 characters
+    let value = '';
+    for (const [index, line] of lines.entries()) {
+      const more = `\n…and ${lines.length - index} more`;
+      if (value.length + line.length + more.length + 1 > 1024) {
+        return value + more;
+      }
+      value += (value ? '\n' : '') + line;
+    }
+    return value;
+  };
+
+  return new EmbedBuilder()
+    .setColor(report.flagged.length > 0 ? '#ff9900' : '#00ff00')
+    .setTitle(`🔁 Re-validation Report${report.dryRun ? ' (Dry Run)' : ''}`)
+    .setDescription(`Policy: **${report.policy}** · Checked: **${report.checked}** · Still valid: **${report.valid}**`)
+    .addFields(
+      { name: `Flagged (${report.flagged.length})`, value: formatEntries(report.flagged) },
+      { name: `${report.dryRun ? 'Would Warn' : 'Warned'} (${report.warned.length})`, value: formatEntries(report.warned) },
+      { name: `${report.dryRun ? 'Would Remove' : 'Removed'} (${report.removed.length})`, value: formatEntries(report.removed) },
+      { name: `Removal Failed (${report.failed.length})`, value: formatEntries(report.failed) },
+      { name: `Valid Again (${report.recovered.length})`, value: formatEntries(report.recovered) },
+      { name: `Errors (${report.errors.length})`, value: formatEntries(report.errors) }
+    )
+    .setFooter({ text: 'Queernel Bot - Moderation' })
+    .setTimestamp();
+}
+
+/**
+ * Create the audit log embed for a verification event
+ * @param {Object} event - Event from emitVerificationEvent
+ * @param {Object} options - { hideLogin } to leave the 42 login out
+ * @returns {EmbedBuilder} - Discord embed
+ */
+function createAuditLogEmbed(event, { hideLogin = false } = {}) {
+  debugLog('Creating Audit Log Embed', { type: event.type, discordUserId: event.discordUserId });
+
+  const duplicate = event.type === 'verification.failed' && event.code === LOGIN_ALREADY_LINKED;
+  const completedTitles = {
+    rejoin: '♻️ Returning Member Restored'
+  };
+  const revokedTitles = {
+    moderator: '⛔ Verification Revoked',
+    revalidation: '🔁 Removed After Re-validation',
+    unlink: '🔓 Account Unlinked'
+  };
+  const [color, title] = {
+    'verification.completed': ['#00ff00', completedTitles[event.source] || (event.moderatorId ? '✅ Member Verified Manually' : '✅ Member Verified')],
+    'verification.declined': ['#99aab5', '🚫 Rules Declined'],
+    'verification.failed': duplicate ? ['#ff9900', '👥 Duplicate 42 Account Attempt'] : ['#ff0000', '⚠️ Verification Failed'],
+    'member.revoked': ['#ff0000', revokedTitles[event.source] || '⛔ Verification Revoked'],
+    'member.rejoin_refused': ['#ff0000', '🚨 Returning Member Not Restored'],
+    'member.erased': ['#99aab5', '🗑️ Member Data Erased']
+  }[event.type] || ['#0099ff', event.type];
+  const erased = event.type === 'member.erased';
+
+  const embed = new EmbedBuilder()
+    .setColor(color)
+    .setTitle(title)
+    .addFields(
+      { name: 'Discord', value: `<@${event.discordUserId}> (${event.discordUserId})`, inline: true },
+      { name: '42 Login', value: erased ? '*Erased*' : hideLogin ? '*Hidden*' : event.login || 'Unknown', inline: true }
+    )
+    .setFooter({ text: 'Queernel Bot - Audit Log' })
+    .setTimestamp(event.timestamp);
+
+  if (duplicate && event.linkedDiscordUserId) {
+    embed.addFields({ name: 'Already Linked To', value: `<@${event.linkedDiscordUserId}>`, inline: true });
   }
-  
-  // Check if user has any cursus (indicating they're a student) - using cursus_users array
-  if (!userData.cursus_users || userData.cursus_users.length === 0) {
-    debugLog('User Validation Failed - No Cursus', { 
-      login: userData.login,
-      cursusCount: userData.cursus_users?.length || 0 
+  if (event.moderatorId) {
+    embed.addFields({ name: 'Moderator', value: `<@${event.moderatorId}>`, inline: true });
+  }
+  if (erased && event.roleError) {
+    embed.addFields({ name: 'Action Needed', value: 'The "42" role could not be removed, remove it by hand.' });
+  }
+  if (event.reason) {
+    // Embed field values are limited to 1024 characters
+    embed.addFields({ name: 'Reason', value: event.reason.slice(0, 1024) });
+  }
+  if (event.verificationId) {
+    embed.addFields({ name: 'Verification ID', value: `\`${event.verificationId}\`` });
+  }
+
+  return embed;
+}
+
+/**
+ * Create the DM welcoming back a member whose verification was restored
+ * @param {string} login - 42 login of the member
+ * @param {string} locale - Locale code (default: DEFAULT_LOCALE)
+ * @returns {EmbedBuilder} - Discord embed
+ */
+function createWelcomeBackEmbed(login, locale = getDefaultLocale()) {
+  debugLog('Creating Welcome Back Embed', { login, locale });
+
+  return new EmbedBuilder()
+    .setColor('#00ff00')
+    .setTitle(t(locale, 'embeds.welcomeBack.title'))
+    .setDescription(t(locale, 'embeds.welcomeBack.description', { login }))
+    .setFooter({ text: t(locale, 'embeds.footer') })
+    .setTimestamp();
+}
+
+/**
+ * Create the embed of the verification panel posted in a channel
+ * @param {string} locale - Locale code (default: DEFAULT_LOCALE)
+ * @returns {EmbedBuilder} - Discord embed
+ */
+function createVerifyPanelEmbed(locale = getDefaultLocale()) {
+  debugLog('Creating Verify Panel Embed', { locale });
+
+  return new EmbedBuilder()
+    .setColor('#0099ff')
+    .setTitle(t(locale, 'embeds.verifyPanel.title'))
+    .setDescription(t(locale, 'embeds.verifyPanel.description'))
+    .addFields(
+      { name: t(locale, 'embeds.welcome.nextStepsName'), value: t(locale, 'embeds.welcome.nextStepsValue') }
+    )
+    .setFooter({ text: t(locale, 'embeds.footer') });
+}
+
+/**
+ * Create the DM reminding a member to verify, with a fresh link
+ * @param {string} authUrl - 42 authorization URL
+ * @param {number|null} deadline - Timestamp of the grace period action, if any
+ * @param {string} action - 'kick', 'role' or 'none'
+ * @param {string} locale - Locale code (default: DEFAULT_LOCALE)
+ * @returns {EmbedBuilder} - Discord embed
+ */
+function createReminderEmbed(authUrl, deadline, action, locale = getDefaultLocale()) {
+  debugLog('Creating Reminder Embed', { deadline, action, locale });
+
+  const embed = new EmbedBuilder()
+    .setColor('#0099ff')
+    .setTitle(t(locale, 'embeds.reminder.title'))
+    .setDescription(t(locale, 'embeds.reminder.description'))
+    .addFields(
+      { name: t(locale, 'embeds.welcome.linkName'), value: t(locale, 'embeds.reminder.linkValue', { url: authUrl }) }
+    )
+    .setFooter({ text: t(locale, 'embeds.footer') })
+    .setTimestamp();
+
+  if (deadline) {
+    embed.addFields({
+      name: t(locale, 'embeds.reminder.deadlineName'),
+      value: t(locale, action === 'kick' ? 'embeds.reminder.deadlineKick' : 'embeds.reminder.deadlineRole', {
+        time: `<t:${Math.floor(deadline / 1000)}:R>`
+      })
     });
-    return false;
   }
-  
-  debugLog('User Validation Passed', { 
-    login: userData.login,
-    cursusCount: userData.cursus_users.length 
+
+  return embed;
+}
+
+/**
+ * Create the DM telling a member they were removed for not verifying in time
+ * @param {string} locale - Locale code (default: DEFAULT_LOCALE)
+ * @returns {EmbedBuilder} - Discord embed
+ */
+function createUnverifiedKickEmbed(locale = getDefaultLocale()) {
+  debugLog('Creating Unverified Kick Embed', { locale });
+
+  return new EmbedBuilder()
+    .setColor('#ff9900')
+    .setTitle(t(locale, 'embeds.unverifiedKick.title'))
+    .setDescription(t(locale, 'embeds.unverifiedKick.description'))
+    .setFooter({ text: t(locale, 'embeds.footer') })
+    .setTimestamp();
+}
+
+/**
+ * Create the list of members who joined and have not verified yet, for moderators
+ * @param {Array<Object>} records - Unverified member records, earliest join first
+ * @param {Object} config - Reminder config
+ * @returns {EmbedBuilder} - Discord embed
+ */
+function createPendingMembersEmbed(records, config) {
+  debugLog('Creating Pending Members Embed', { count: records.length });
+
+  const graceEnabled = config.action !== 'none' && config.graceHours > 0;
+  const lines = records.map(record => {
+    const parts = [
+      `<@${record.discordUserId}>`,
+      `joined <t:${Math.floor(record.joinedAt / 1000)}:R>`,
+      `${record.remindersSent || 0}/${config.scheduleHours.length} reminders`
+    ];
+    if (record.actionTakenAt) {
+      parts.push(`unverified role <t:${Math.floor(record.actionTakenAt / 1000)}:R>`);
+    } else if (graceEnabled) {
+      parts.push(`${config.action === 'kick' ? 'kick' : 'unverified role'} <t:${Math.floor((record.joinedAt + config.graceHours * 60 * 60 * 1000) / 1000)}:R>`);
+    }
+    return parts.join(' · ');
   });
+
+  // Embed descriptions are limited to 4096 characters
+  let description = lines.length === 0 ? 'Every member who joined is verified.' : '';
+  for (const [index, line] of lines.entries()) {
+    const more = `\n…and ${lines.length - index} more`;
+    if (description.length + line.length + more.length + 1 > 4096) {
+      description += more;
+      break;
+    }
+    description += (description ? '\n' : '') + line;
+  }
+
+  return new EmbedBuilder()
+    .setColor(records.length > 0 ? '#ff9900' : '#00ff00')
+    .setTitle(`⏳ Pending Members (${records.length})`)
+    .setDescription(description)
+    .addFields({
+      name: 'Settings',
+      value: [
+        `Reminders: ${config.scheduleHours.length > 0 ? config.scheduleHours.map(hours => `${hours}h`).join(', ') : 'off'}`,
+        `After ${config.graceHours}h: ${graceEnabled ? (config.action === 'kick' ? 'kick' : `<@&${config.roleId}>`) : 'nothing'}`
+      ].join('\n')
+    })
+    .setFooter({ text: 'Queernel Bot - Moderation' })
+    .setTimestamp();
+}
+
+/**
+ * Create the list of recent erasure requests, for moderators
+ * @param {Array<Object>} requests - Erasure requests, most recent first
+ * @returns {EmbedBuilder} - Discord embed
+ */
+function createErasureRequestsEmbed(requests) {
+  debugLog('Creating Erasure Requests Embed', { count: requests.length });
+
+  const lines = requests.map(request => {
+    const total = Object.values(request.deleted || {}).reduce((sum, count) => sum + count, 0);
+    const parts = [
+      `<@${request.discordUserId}>`,
+      `<t:${Math.floor(request.requestedAt / 1000)}:f>`,
+      `${total} records erased`
+    ];
+    if (request.roleErrors?.length > 0) {
+      parts.push('⚠️ role not removed');
+    }
+    return parts.join(' · ');
+  });
+
+  return new EmbedBuilder()
+    .setColor('#99aab5')
+    .setTitle(`🗑️ Erasure Requests (${requests.length})`)
+    .setDescription(lines.length === 0 ? 'No member asked for their data to be erased.' : lines.join('\n').slice(0, 4096))
+    .setFooter({ text: 'Queernel Bot - Moderation' })
+    .setTimestamp();
+}
+
+/**
+ * Create the embed listing webhook deliveries that failed every attempt
+ * @param {Array<Object>} deadLetters - Webhook dead letters, most recent first
+ * @returns {EmbedBuilder} - Discord embed
+ */
+function createWebhookDeadLettersEmbed(deadLetters) {
+  debugLog('Creating Webhook Dead Letters Embed', { count: deadLetters.length });
+
+  const lines = deadLetters.map(deadLetter => [
+    `**#${deadLetter.id}**`,
+    `\`${deadLetter.payload.type}\``,
+    deadLetter.payload.data.discordUserId ? `<@${deadLetter.payload.data.discordUserId}>` : null,
+    `<t:${Math.floor(deadLetter.failedAt / 1000)}:f>`,
+    getUrlOrigin(deadLetter.url),
+    `${deadLetter.lastError} after ${deadLetter.attempts} attempt${deadLetter.attempts === 1 ? '' : 's'}`
+  ].filter(Boolean).join(' · '));
+
+  return new EmbedBuilder()
+    .setColor(lines.length === 0 ? '#00ff00' : '#ff9900')
+    .setTitle(`📮 Failed Webhooks (${deadLetters.length})`)
+    .setDescription(lines.length === 0 ? 'Every webhook was delivered.' : lines.join('\n').slice(0, 4096))
+    .setFooter({ text: 'Queernel Bot - Administration' })
+    .setTimestamp();
+}
+
+/**
+ * Create the DM carrying a member's data export
+ * @param {string} locale - Locale code (default: DEFAULT_LOCALE)
+ * @returns {EmbedBuilder} - Discord embed
+ */
+function createPrivacyExportEmbed(locale = getDefaultLocale()) {
+  debugLog('Creating Privacy Export Embed', { locale });
+
+  return new EmbedBuilder()
+    .setColor('#0099ff')
+    .setTitle(t(locale, 'embeds.privacyExport.title'))
+    .setDescription(t(locale, 'embeds.privacyExport.description'))
+    .setFooter({ text: t(locale, 'embeds.footer') })
+    .setTimestamp();
+}
+
+/**
+ * Create the embed listing the settings of a guild, for /admin config show
+ * @param {Object} config - Effective guild config
+ * @param {Object|null} overrides - Settings the guild changed, null if none
+ * @returns {EmbedBuilder} - Guild config embed
+ */
+function createGuildConfigEmbed(config, overrides) {
+  debugLog('Creating Guild Config Embed', { guildId: config.guildId });
+
+  const changed = (key) => (overrides?.[key] !== undefined ? '' : ' *(default)*');
+  const role = (roleId) => (roleId ? `<@&${roleId}>` : 'Not set');
+  const channel = (channelId) => (channelId ? `<#${channelId}>` : 'Not set');
+
+  const embed = new EmbedBuilder()
+    .setColor(config.roleId ? '#00ff00' : '#ff9900')
+    .setTitle('⚙️ Verification Settings')
+    .setDescription(config.roleId
+      ? 'Members who verify get the verified role below.'
+      : 'This server is not set up yet: set the verified role with `/admin config role`.')
+    .addFields(
+      { name: 'Verified Role', value: role(config.roleId) + changed('roleId'), inline: true },
+      { name: 'Moderator Role', value: role(config.modRoleId) + changed('modRoleId'), inline: true },
+      { name: 'Language', value: (config.locale || 'Server language') + changed('locale'), inline: true },
+      { name: 'Audit Log Channel', value: channel(config.auditLogChannelId) + changed('auditLogChannelId'), inline: true },
+      { name: 'Audit Log Logins', value: (config.auditLogHideLogin ? 'Hidden' : 'Shown') + changed('auditLogHideLogin'), inline: true },
+      { name: 'Report Channel', value: channel(config.reportChannelId) + changed('reportChannelId'), inline: true },
+      {
+        name: 'Unverified Members',
+        value: (config.unverifiedAction === 'role'
+          ? `Role ${role(config.unverifiedRoleId)}`
+          : config.unverifiedAction === 'kick' ? 'Kick' : 'No action') + changed('unverifiedAction'),
+        inline: true
+      },
+      { name: 'Eligibility Policy', value: `See policy.json${changed('policy')}`, inline: true },
+      { name: 'Auto-roles', value: `See roles.json${changed('roleMapping')}`, inline: true },
+      {
+        name: 'Rules',
+        value: `Version ${config.rules.version}, ${config.rules.sections.length} section(s)${changed('rules')}`,
+        inline: true
+      }
+    )
+    .setFooter({ text: 'Queernel Bot - Administration' })
+    .setTimestamp();
+
+  if (overrides?.updatedAt) {
+    embed.addFields({
+      name: 'Last Change',
+      value: `<t:${Math.floor(overrides.updatedAt / 1000)}:R>${overrides.updatedBy ? ` by <@${overrides.updatedBy}>` : ''}`
+    });
+  }
+
+  return embed;
+}
+
+/**
+ * Create the DM asking a member to re-accept updated rules
+ * @param {number} deadline - Timestamp before which the rules must be accepted
+ * @param {string} locale - Locale code (default: DEFAULT_LOCALE)
+ * @returns {EmbedBuilder} - Discord embed
+ */
+function createRulesUpdateEmbed(deadline, locale = getDefaultLocale()) {
+  debugLog('Creating Rules Update Embed', { deadline, locale });
+
+  return new EmbedBuilder()
+    .setColor('#0099ff')
+    .setTitle(t(locale, 'embeds.rulesUpdate.title'))
+    .setDescription(t(locale, 'embeds.rulesUpdate.description'))
+    .addFields(
+      { name: t(locale, 'embeds.rulesUpdate.deadlineName'), value: `<t:${Math.floor(deadline / 1000)}:F>` }
+    )
+    .setFooter({ text: t(locale, 'embeds.footer') })
+    .setTimestamp();
+}
+
+/**
+ * Create the DM telling a member their role was downgraded for not re-accepting the rules
+ * @param {string} locale - Locale code (default: DEFAULT_LOCALE)
+ * @returns {EmbedBuilder} - Discord embed
+ */
+function createRulesDowngradeEmbed(locale = getDefaultLocale()) {
+  debugLog('Creating Rules Downgrade Embed', { locale });
+
+  return new EmbedBuilder()
+    .setColor('#ff9900')
+    .setTitle(t(locale, 'embeds.rulesDowngrade.title'))
+    .setDescription(t(locale, 'embeds.rulesDowngrade.description'))
+    .setFooter({ text: t(locale, 'embeds.footer') })
+    .setTimestamp();
+}
+
+/**
+ * Clean up expired verification attempts
+ * @param {Object} store - Verification store
+ * @param {number} maxAge - Maximum age in milliseconds (default: 10 minutes)
+ * @returns {Promise<number>} - Number of verifications removed
+ */
+async function cleanupExpiredVerifications(store, maxAge = STATE_MAX_AGE) {
+  const now = Date.now();
+  const expired = await store.deleteExpiredVerifications(now - maxAge);
   
-  // Additional validation can be added here
-  // For example, check if user is not staff, has valid campus, etc.
+  for (const verification of expired) {
+    metrics.expiredStates.inc({ step: verification.step });
+    debugLog('Cleaned Expired Verification', { 
+      state: verification.state, 
+      username: verification.discordUsername,
+      step: verification.step,
+      age: now - verification.timestamp 
+    });
+    logger.info('Expired verification cleaned up', { discordUserId: verification.discordUserId, verificationId: verification.verificationId, step: verification.step });
+  }
   
-  return true;
+  if (expired.length > 0) {
+    debugLog('Cleanup Complete', { 
+      cleanedCount: expired.length, 
+      remainingCount: await store.countPendingVerifications() 
+    });
+  }
+
+  return expired.length;
 }
 
 /**
- * Generate a secure state parameter
- * @returns {string} - Random hex string
+ * Generate a signed, expiring state parameter for a Discord user in a guild
+ * The state is `guildId.discordUserId.expiresAt.nonce.signature`, so a callback can be checked before any store lookup.
+ * @param {string} guildId - Discord guild ID the verification is for
+ * @param {string} discordUserId - Discord user ID the verification is for
+ * @param {number} maxAge - Validity in milliseconds (default: 10 minutes)
+ * @returns {string} - Signed state
  */
-function generateState() {
-  const crypto = require('crypto');
-  const state = crypto.randomBytes(32).toString('hex');
-  debugLog('Generated State Parameter', { state });
+function generateState(guildId, discordUserId, maxAge = STATE_MAX_AGE) {
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const state = signValue(`${guildId}.${discordUserId}.${Date.now() + maxAge}.${nonce}`);
+  debugLog('Generated State Parameter', { guildId, discordUserId, expiresAt: Date.now() + maxAge });
   return state;
 }
 
+/**
+ * Check the signature and expiry of a state parameter
+ * @param {string} state - State parameter
+ * @returns {Object|null} - { guildId, discordUserId, expiresAt }, or null if forged, malformed or expired
+ */
+function verifyState(state) {
+  const value = verifySignedValue(state);
+  if (!value) {
+    debugOAuth2Flow('State Signature Invalid', { hasState: !!state });
+    return null;
+  }
+
+  const [guildId, discordUserId, expiresAt] = value.split('.');
+  if (!(Number(expiresAt) > Date.now())) {
+    debugOAuth2Flow('State Expired', { guildId, discordUserId, expiresAt: Number(expiresAt) });
+    return null;
+  }
+  return { guildId, discordUserId, expiresAt: Number(expiresAt) };
+}
+
+/**
+ * Create a PKCE code verifier and its S256 code challenge
+ * @returns {Object} - { codeVerifier, codeChallenge }
+ */
+function createPkcePair() {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+}
+
 /**
  * Create OAuth2 authorization URL
  * @param {string} clientId - 42 API client ID
  * @param {string} redirectUri - OAuth2 redirect URI
  * @param {string} state - State parameter
+ * @param {string|null} codeChallenge - PKCE S256 code challenge (omitted when null)
  * @returns {string} - Authorization URL
  */
-function createAuthUrl(clientId, redirectUri, state) {
+function createAuthUrl(clientId, redirectUri, state, codeChallenge = null) {
   const url = new URL('https://api.intra.42.fr/oauth/authorize');
   url.searchParams.set('client_id', clientId);
   url.searchParams.set('redirect_uri', redirectUri);
   url.searchParams.set('response_type', 'code');
   url.searchParams.set('scope', 'public');
   url.searchParams.set('state', state);
+  if (codeChallenge) {
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+  }
   
   const authUrl = url.toString();
   
@@ -264,6 +892,7 @@ function createAuthUrl(clientId, redirectUri, state) {
     clientId,
     redirectUri,
     state,
+    pkce: !!codeChallenge,
     authUrl: authUrl.replace(/client_id=([^&]+)/, 'client_id=***MASKED***')
   });
   
@@ -277,8 +906,28 @@ module.exports = {
   createWelcomeEmbed,
   createSuccessEmbed,
   createErrorEmbed,
+  createStatusEmbed,
+  createLookupEmbed,
+  createRevalidationWarningEmbed,
+  createRevalidationRemovalEmbed,
+  createDmFailedEmbed,
+  createRevalidationReportEmbed,
+  createRulesUpdateEmbed,
+  createRulesDowngradeEmbed,
+  createAuditLogEmbed,
+  createWelcomeBackEmbed,
+  createVerifyPanelEmbed,
+  createReminderEmbed,
+  createUnverifiedKickEmbed,
+  createPendingMembersEmbed,
+  createGuildConfigEmbed,
+  createErasureRequestsEmbed,
+  createWebhookDeadLettersEmbed,
+  createPrivacyExportEmbed,
   cleanupExpiredVerifications,
-  validate42User,
+  STATE_MAX_AGE,
   generateState,
+  verifyState,
+  createPkcePair,
   createAuthUrl
 }; 
\ No newline at end of file
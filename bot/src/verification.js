@@ -0,0 +1,74 @@
+const { generateState, createPkcePair, createAuthUrl } = require('./utils');
+const { debugVerification, debugOAuth2Flow } = require('./debug');
+const { getDefaultLocale } = require('./i18n');
+const { addLogContext, createVerificationId } = require('./logger');
+
+/**
+ * Check if PKCE is used for the 42 authorization (off unless FORTYTWO_PKCE=true)
+ * @returns {boolean} - True if a code challenge is sent
+ */
+function isPkceEnabled() {
+  return process.env.FORTYTWO_PKCE === 'true';
+}
+
+/**
+ * Start a verification for a Discord user in a guild: issue a fresh state, store it and build the 42 authorization URL.
+ * Any previous pending verification of the same user in the guild is discarded, so only the latest link works.
+ * @param {Object} store - Verification store
+ * @param {User} user - Discord user
+ * @param {Object} options - Verification options
+ * @param {string} options.guildId - Discord guild the verification is for
+ * @param {string} options.locale - Locale for the pages and DMs of this verification
+ * @param {string} options.verificationId - Correlation ID for the logs (default: a new one)
+ * @returns {Promise<Object>} - { state, authUrl, verificationId }
+ */
+async function startVerification(store, user, { guildId, locale = getDefaultLocale(), verificationId = createVerificationId() }) {
+  addLogContext({ verificationId, guildId });
+
+  // Generate state parameter for OAuth2 security, signed and bound to the user and guild
+  const state = generateState(guildId, user.id);
+
+  // The code verifier never leaves the server, only its challenge goes to 42
+  const pkce = isPkceEnabled() ? createPkcePair() : null;
+
+  // Only keep the latest verification attempt of each user in each guild
+  const replacedCount = await store.deletePendingVerificationsByUser(guildId, user.id);
+
+  // Store the verification attempt
+  await store.savePendingVerification(state, {
+    guildId,
+    discordUserId: user.id,
+    discordUsername: user.tag,
+    timestamp: Date.now(),
+    step: 'oauth_pending',
+    locale,
+    verificationId,
+    codeVerifier: pkce?.codeVerifier || null
+  });
+
+  debugVerification('Verification Started', user.id, { 
+    state,
+    replacedCount,
+    pendingVerificationsCount: await store.countPendingVerifications() 
+  });
+
+  // Create OAuth2 authorization URL
+  const authUrl = createAuthUrl(
+    process.env.FORTYTWO_CLIENT_ID,
+    process.env.FORTYTWO_REDIRECT_URI,
+    state,
+    pkce?.codeChallenge
+  );
+
+  debugOAuth2Flow('Authorization URL Created', { 
+    state,
+    redirectUri: process.env.FORTYTWO_REDIRECT_URI,
+    hasAuthUrl: !!authUrl 
+  });
+
+  return { state, authUrl, verificationId };
+}
+
+module.exports = {
+  startVerification
+};
@@ -0,0 +1,43 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { createVerifyPanelEmbed } = require('./utils');
+const { t } = require('./i18n');
+const verifyCommand = require('./commands/verify');
+
+// Custom ID of the "Verify with 42" button, stable so panels keep working after a restart
+const VERIFY_BUTTON_ID = 'verify:start';
+
+/**
+ * Build the verification panel message
+ * @param {string} locale - Locale code
+ * @returns {Object} - Message payload with the embed and the button
+ */
+function createVerifyPanel(locale) {
+  return {
+    embeds: [createVerifyPanelEmbed(locale)],
+    components: [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(VERIFY_BUTTON_ID)
+          .setLabel(t(locale, 'embeds.verifyPanel.button'))
+          .setEmoji('🔐')
+          .setStyle(ButtonStyle.Primary)
+      )
+    ]
+  };
+}
+
+/**
+ * Answer a click on the panel button with a personal verification link
+ * A click does exactly what /verify does, as an ephemeral reply only the member can see.
+ * @param {ButtonInteraction} interaction - Button interaction
+ * @param {Object} context - Shared bot services
+ */
+async function handleVerifyButton(interaction, context) {
+  await verifyCommand.execute(interaction, context);
+}
+
+module.exports = {
+  VERIFY_BUTTON_ID,
+  createVerifyPanel,
+  handleVerifyButton
+};
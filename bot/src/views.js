@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const Mustache = require('mustache');
+const { debugLog } = require('./debug');
+const { t, getSection, getLanguages, getDefaultLocale } = require('./i18n');
+
+// Built-in templates, overridable file by file from VIEWS_PATH
+const DEFAULT_VIEWS_PATH = path.join(__dirname, '..', 'views');
+
+// Templates are read once, restart the bot to pick up edited overrides
+const templateCache = new Map();
+
+/**
+ * Read a view file, preferring the override directory
+ * @param {string} filename - File name inside the views directory, e.g. rules.html
+ * @returns {string} - File content
+ */
+function readView(filename) {
+  if (templateCache.has(filename)) {
+    return templateCache.get(filename);
+  }
+
+  const overridePath = process.env.VIEWS_PATH && path.resolve(process.env.VIEWS_PATH, filename);
+  const viewPath = overridePath && fs.existsSync(overridePath)
+    ? overridePath
+    : path.join(DEFAULT_VIEWS_PATH, filename);
+
+  debugLog('Loading View', { filename, viewPath });
+
+  const content = fs.readFileSync(viewPath, 'utf8');
+  templateCache.set(filename, content);
+  return content;
+}
+
+/**
+ * Render a page inside the shared layout
+ * Values are HTML-escaped, so query parameters and error messages are safe to pass as-is.
+ * Templates read their strings from `t`, the 'pages' section of the locale catalog.
+ * @param {string} name - Template name, e.g. 'rules'
+ * @param {Object} data - Template data
+ * @param {Object} options - Layout options
+ * @param {string} options.locale - Locale code (default: DEFAULT_LOCALE)
+ * @param {string} options.title - Page title (default: the page's translated title)
+ * @param {string} options.theme - Color theme: 'rules', 'success' or 'error'
+ * @param {Function} options.languageUrl - Builds the URL of this page in another language, enables the language toggle
+ * @returns {string} - HTML document
+ */
+function renderPage(name, data = {}, { locale = getDefaultLocale(), title, theme = 'rules', languageUrl = null } = {}) {
+  const strings = getSection(locale, 'pages');
+  const languages = languageUrl
+    ? getLanguages().map(({ code, name: languageName }) => ({
+        name: languageName,
+        url: languageUrl(code),
+        current: code === locale
+      }))
+    : [];
+
+  const body = Mustache.render(readView(`${name}.html`), { ...data, t: strings });
+  return Mustache.render(readView('layout.html'), {
+    lang: locale,
+    title: title || strings[name]?.title,
+    theme,
+    t: strings,
+    languages,
+    css: readView('style.css'),
+    body
+  });
+}
+
+/**
+ * Send a rendered page
+ * @param {Response} res - Express response
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @param {Object} options - Layout options (locale, title, theme, languageUrl)
+ */
+function sendPage(res, name, data, options) {
+  res.type('html').send(renderPage(name, data, options));
+}
+
+/**
+ * Send the error page
+ * @param {Response} res - Express response
+ * @param {string} locale - Locale code
+ * @param {Object} error - Error page content, already translated
+ * @param {string} error.title - Page title (default: translated 'Verification Failed')
+ * @param {string} error.message - What went wrong
+ * @param {string} error.hint - What to do next
+ */
+function sendErrorPage(res, locale, { title = t(locale, 'pages.error.title'), message, hint }) {
+  sendPage(res, 'error', { heading: `❌ ${title}`, message, hint }, { locale, title, theme: 'error' });
+}
+
+module.exports = {
+  renderPage,
+  sendPage,
+  sendErrorPage
+};
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { EVENT_TYPES, onVerificationEvent } = require('./events');
+const { webhookDeliveries } = require('./metrics');
+const { debugLog } = require('./debug');
+const { logger } = require('./logger');
+
+// Events other tools can subscribe to
+const WEBHOOK_EVENTS = [EVENT_TYPES.COMPLETED, EVENT_TYPES.DECLINED, EVENT_TYPES.FAILED, EVENT_TYPES.REVOKED];
+
+// Waits before each retry: the 5th failed attempt, about 36 minutes after the event, goes to the dead letters
+const RETRY_DELAYS = [10 * 1000, 60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000];
+
+const REQUEST_TIMEOUT = 10 * 1000;
+
+/**
+ * Reduce a webhook URL to its origin for logs, as paths and queries often carry a token
+ * @param {string} url - Webhook URL
+ * @returns {string} - Origin such as https://hooks.example.com
+ */
+function getUrlOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return 'invalid URL';
+  }
+}
+
+/**
+ * Read the webhook configuration from the environment
+ * The receivers belong to the guild from DISCORD_GUILD_ID: other guilds' members are never sent to them.
+ * @returns {Object} - { enabled, guildId, urls, secret, events }
+ */
+function getWebhookConfig() {
+  const split = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+  const urls = split(process.env.WEBHOOK_URLS);
+  const events = split(process.env.WEBHOOK_EVENTS);
+  return {
+    // Unsigned payloads could be forged, so a secret is required
+    enabled: urls.length > 0 && !!process.env.WEBHOOK_SECRET && !!process.env.DISCORD_GUILD_ID,
+    guildId: process.env.DISCORD_GUILD_ID,
+    urls,
+    secret: process.env.WEBHOOK_SECRET,
+    events: events.length > 0 ? events.filter(type => WEBHOOK_EVENTS.includes(type)) : WEBHOOK_EVENTS
+  };
+}
+
+/**
+ * Sign a webhook body, binding it to its timestamp so an old delivery cannot be replayed
+ * @param {string} secret - WEBHOOK_SECRET
+ * @param {number} timestamp - Unix timestamp in seconds, sent in X-Queernel-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} - X-Queernel-Signature header value
+ */
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Build the payload sent for a verification event
+ * @param {Object} event - Verification event
+ * @returns {Object} - { id, type, timestamp, data }
+ */
+function buildPayload(event) {
+  const { type, timestamp, ...data } = event;
+  return {
+    id: crypto.randomUUID(),
+    type,
+    timestamp: new Date(timestamp).toISOString(),
+    data
+  };
+}
+
+/**
+ * POST a payload to a webhook URL, once
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - Webhook payload
+ * @param {string} secret - WEBHOOK_SECRET
+ * @returns {Promise<void>}
+ * @throws {Error} - If the request fails or does not answer 2xx, with `retryable` set
+ */
+async function deliver(url, payload, secret) {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    await axios.post(url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Queernel-Webhooks',
+        'X-Queernel-Event': payload.type,
+        'X-Queernel-Delivery': payload.id,
+        'X-Queernel-Timestamp': String(timestamp),
+        'X-Queernel-Signature': signPayload(secret, timestamp, body)
+      },
+      timeout: REQUEST_TIMEOUT,
+      maxRedirects: 0
+    });
+  } catch (error) {
+    const status = error.response?.status;
+    // Other 4xx mean the receiver refused this payload, sending it again would not help
+    const retryable = !status || status >= 500 || status === 408 || status === 429;
+    throw Object.assign(new Error(status ? `HTTP ${status}` : error.message), { retryable });
+  }
+}
+
+/**
+ * Deliver a payload, retrying with backoff, and keep it as a dead letter after the last attempt
+ * Retries wait in memory: the ones pending when the bot stops are lost.
+ * @param {Object} context - Shared bot services
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - Webhook payload
+ * @param {number} attempt - Attempt number, starting at 1
+ * @returns {Promise<void>}
+ */
+async function deliverWithRetries(context, url, payload, attempt = 1) {
+  const { secret } = getWebhookConfig();
+
+  try {
+    await deliver(url, payload, secret);
+    webhookDeliveries.inc({ type: payload.type, outcome: 'delivered' });
+    debugLog('Webhook Delivered', { url: getUrlOrigin(url), type: payload.type, deliveryId: payload.id, attempt });
+    return;
+  } catch (error) {
+    if (error.retryable && attempt <= RETRY_DELAYS.length) {
+      webhookDeliveries.inc({ type: payload.type, outcome: 'retried' });
+      debugLog('Webhook Delivery Retry', { url: getUrlOrigin(url), type: payload.type, deliveryId: payload.id, attempt, error: error.message });
+      setTimeout(() => {
+        deliverWithRetries(context, url, payload, attempt + 1)
+          .catch(retryError => logger.error('Webhook retry failed', { url: getUrlOrigin(url), error: retryError }));
+      }, RETRY_DELAYS[attempt - 1]).unref();
+      return;
+    }
+
+    webhookDeliveries.inc({ type: payload.type, outcome: 'dead_letter' });
+    const deadLetter = await context.store.recordWebhookDeadLetter({
+      guildId: payload.data.guildId,
+      discordUserId: payload.data.discordUserId,
+      url,
+      payload,
+      attempts: attempt,
+      lastError: error.message,
+      failedAt: Date.now()
+    });
+    logger.warn('Webhook delivery failed, kept as a dead letter', {
+      url: getUrlOrigin(url),
+      type: payload.type,
+      deliveryId: payload.id,
+      deadLetterId: deadLetter.id,
+      attempts: attempt,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Send a dead letter again, once, and delete it when the receiver accepts it
+ * @param {Object} context - Shared bot services
+ * @param {Object} deadLetter - Webhook dead letter
+ * @returns {Promise<Object>} - { success, error? }
+ */
+async function redeliverDeadLetter(context, deadLetter) {
+  try {
+    await deliver(deadLetter.url, deadLetter.payload, getWebhookConfig().secret);
+  } catch (error) {
+    debugLog('Webhook Redelivery Failed', { deadLetterId: deadLetter.id, error: error.message });
+    return { success: false, error: error.message };
+  }
+
+  webhookDeliveries.inc({ type: deadLetter.payload.type, outcome: 'delivered' });
+  await context.store.deleteWebhookDeadLetter(deadLetter.id);
+  logger.info('Webhook dead letter redelivered', { deadLetterId: deadLetter.id, url: getUrlOrigin(deadLetter.url) });
+  return { success: true };
+}
+
+/**
+ * Send the verification events of the DISCORD_GUILD_ID guild selected by WEBHOOK_EVENTS to every WEBHOOK_URLS
+ * @param {Object} context - Shared bot services
+ */
+function registerWebhooks(context) {
+  const config = getWebhookConfig();
+  if (config.urls.length > 0 && !config.secret) {
+    logger.error('WEBHOOK_URLS is set without WEBHOOK_SECRET, webhooks are disabled');
+  }
+  if (!config.enabled) return;
+
+  debugLog('Webhooks Enabled', { guildId: config.guildId, urls: config.urls.length, events: config.events });
+
+  onVerificationEvent(async (event) => {
+    if (event.guildId !== config.guildId || !config.events.includes(event.type)) return;
+
+    const payload = buildPayload(event);
+    // Each URL gets its own retries, one slow receiver never holds back the others
+    await Promise.all(config.urls.map(url => deliverWithRetries(context, url, payload)));
+  });
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  getWebhookConfig,
+  getUrlOrigin,
+  signPayload,
+  redeliverDeadLetter,
+  registerWebhooks
+};